@@ -1,45 +1,70 @@
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
 const Driver = require('../models/Driver');
-
-
-const JWT_SECRET = process.env.JWT_SECRET || 'replace_with_a_strong_secret';
+const { JWT_SECRET, isSessionActive } = require('../utils/sessions');
+const { permissionsFor, can } = require('../utils/permissions');
 
 
 async function authMiddleware(req, res, next) {
     const authHeader = req.header('Authorization') || '';
     const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
-    if (!token) return res.status(401).json({ message: 'No token provided' });
+    if (!token) return res.status(401).json({ message: 'No token provided', code: 'NO_TOKEN' });
 
 
+    let payload;
+    try {
+        // payload contains { id, role, sid }
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+        const expired = err.name === 'TokenExpiredError';
+        return res.status(401).json({
+            message: expired ? 'Token expired' : 'Invalid token',
+            code: expired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+        });
+    }
+
     try {
-        const payload = jwt.verify(token, JWT_SECRET);
-        // payload contains { id, role }
         req.user = payload;
-        // optionally fetch full user if needed
         if (payload.role === 'admin') req.userModel = await Admin.findById(payload.id).select('-password');
         else if (payload.role === 'driver') req.userModel = await Driver.findById(payload.id).select('-password');
+
+        const account = req.userModel;
+        if (!account) return res.status(401).json({ message: 'Account not found', code: 'ACCOUNT_NOT_FOUND' });
+        if (account.isActive === false) return res.status(403).json({ message: 'Account is deactivated', code: 'ACCOUNT_DEACTIVATED' });
+        // tokens issued before a password change no longer count
+        if (account.passwordChangedAt && payload.iat < Math.floor(account.passwordChangedAt.getTime() / 1000)) {
+            return res.status(401).json({ message: 'Session expired, please log in again', code: 'SESSION_EXPIRED' });
+        }
+        // tokens from before refresh sessions carry no sid and simply run out
+        if (payload.sid && !(await isSessionActive(payload.sid))) {
+            return res.status(401).json({ message: 'Session has been revoked', code: 'SESSION_REVOKED' });
+        }
+
+        // token role is the account kind (admin | driver); accessRole is what it may do
+        req.user.accessRole = payload.role === 'admin' ? account.role || 'admin' : 'driver';
+        req.user.permissions = permissionsFor(req.user.accessRole);
+
+        // who is acting, for the audit log
+        if (req.context) req.context.user = { id: payload.id, role: req.user.accessRole, name: account.name };
         next();
     } catch (err) {
-        return res.status(401).json({ message: 'Invalid token', error: err.message });
+        next(err);
     }
 }
 
 
-function adminOnly(req, res, next) {
-    if (!req.user || req.user.role !== 'admin') return res.status(403).json({ message: 'Admins only' });
-    next();
-}
-
-
-function driverOnly(req, res, next) {
-    if (!req.user || req.user.role !== 'driver') return res.status(403).json({ message: 'Drivers only' });
-    next();
+// Allow the request when the user holds any of the given permissions
+function permit(...permissions) {
+    return (req, res, next) => {
+        if (!can(req.user, ...permissions)) {
+            return res.status(403).json({ message: 'Not allowed', code: 'PERMISSION_DENIED', required: permissions });
+        }
+        next();
+    };
 }
 
 
 module.exports = {
     authMiddleware,
-    adminOnly,
-    driverOnly
+    permit
 };
\ No newline at end of file
@@ -0,0 +1,43 @@
+const { codeFor, describeError } = require('../utils/errors');
+
+
+// Adds the default `code` to error responses that routes send themselves
+function errorCodes(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && !body.code) {
+            body = { ...body, code: codeFor(res.statusCode) };
+        }
+        return json(body);
+    };
+    next();
+}
+
+
+// Requests no router handled
+function notFound(req, res) {
+    res.status(404).json({ message: `Cannot ${req.method} ${req.path}`, code: 'ROUTE_NOT_FOUND' });
+}
+
+
+// Last middleware: everything passed to next(err) ends up here.
+// Express needs all four arguments to treat it as an error handler.
+function errorHandler(err, req, res, next) {
+    const { status, body } = describeError(err);
+    const requestId = (req.context && req.context.requestId) || req.get('X-Request-Id');
+
+    if (status >= 500) console.error(`[${requestId || '-'}] ${req.method} ${req.originalUrl} failed:`, err);
+
+    // e.g. an export stream that broke half way; all we can do is drop the connection
+    if (res.headersSent) return res.destroy(err);
+
+    if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+    res.status(status).json(status >= 500 ? { ...body, requestId } : body);
+}
+
+
+module.exports = {
+    errorCodes,
+    notFound,
+    errorHandler
+};
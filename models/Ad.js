@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 
 const adSchema = new mongoose.Schema(
   {
@@ -9,4 +10,6 @@ const adSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+adSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Ad', adSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 const bcrypt = require('bcryptjs');
+const { STAFF_ROLES } = require('../utils/permissions');
 
 
 const adminSchema = new mongoose.Schema(
@@ -7,16 +9,25 @@ const adminSchema = new mongoose.Schema(
         name: { type: String, required: true },
         email: { type: String, required: true, unique: true, lowercase: true },
         password: { type: String, required: true },
-        role: { type: String, enum: ['admin'], default: 'admin' }
+        role: { type: String, enum: STAFF_ROLES, default: 'admin' },
+        invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+        isActive: { type: Boolean, default: true },
+        passwordChangedAt: { type: Date },
+        // set on the account created by first-run setup; the unique index
+        // lets only one of two racing setups succeed
+        bootstrap: { type: Boolean }
     },
     { timestamps: true }
 );
 
+adminSchema.index({ bootstrap: 1 }, { unique: true, partialFilterExpression: { bootstrap: true } });
+
 
 // hash password before save
 adminSchema.pre('save', async function (next) {
     const admin = this;
     if (!admin.isModified('password')) return next();
+    if (!admin.isNew) admin.passwordChangedAt = new Date();
     const salt = await bcrypt.genSalt(10);
     admin.password = await bcrypt.hash(admin.password, salt);
     next();
@@ -29,4 +40,6 @@ adminSchema.methods.comparePassword = async function (candidate) {
 };
 
 
+adminSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Admin', adminSchema);
\ No newline at end of file
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { STAFF_ROLES } = require('../utils/permissions');
+
+// Invitation for a new staff account; only the token hash is stored
+const adminInviteSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, lowercase: true, trim: true, index: true },
+    name: { type: String },
+    role: { type: String, enum: STAFF_ROLES, required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    expiresAt: { type: Date, required: true },
+    acceptedAt: { type: Date, default: null },
+    acceptedAdmin: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    revokedAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+adminInviteSchema.virtual('status').get(function () {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  return this.expiresAt < new Date() ? 'expired' : 'pending';
+});
+
+adminInviteSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  },
+});
+
+adminInviteSchema.plugin(auditPlugin, { redact: ['tokenHash'] });
+
+module.exports = mongoose.model('AdminInvite', adminInviteSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed }
+  },
+  { _id: false }
+);
+
+// Written by the audit plugin; never edited
+const auditLogSchema = new mongoose.Schema(
+  {
+    entity: { type: String, required: true },   // model name
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    action: { type: String, enum: AUDIT_ACTIONS, required: true },
+    changes: [changeSchema],
+
+    actorId: { type: mongoose.Schema.Types.ObjectId },
+    actorRole: { type: String },                // admin | driver | system
+    actorName: { type: String },
+    ip: { type: String },
+    userAgent: { type: String },
+    requestId: { type: String },
+    method: { type: String },
+    path: { type: String },
+    at: { type: Date, default: Date.now }
+  },
+  { versionKey: false }
+);
+
+auditLogSchema.index({ entity: 1, entityId: 1, at: -1 });
+auditLogSchema.index({ actorId: 1, at: -1 });
+auditLogSchema.index({ at: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { normalizeIndianPhone } = require('../utils/phone');
+const { LANGUAGES } = require('./NotificationTemplate');
+
+const customerSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    phone: { type: String, required: true, unique: true }, // 10-digit Indian mobile
+    alternatePhone: { type: String },
+    email: { type: String, lowercase: true, trim: true },
+    address: { type: String },
+    notes: { type: String },
+    language: { type: String, enum: LANGUAGES, set: (v) => v || undefined } // for messages; default language when unset
+  },
+  { timestamps: true }
+);
+
+customerSchema.index({ name: 1 });
+
+// normalize phone numbers before validation
+customerSchema.pre('validate', function (next) {
+  if (this.isModified('phone') && this.phone) {
+    const phone = normalizeIndianPhone(this.phone);
+    if (!phone) this.invalidate('phone', 'Invalid Indian mobile number', this.phone);
+    else this.phone = phone;
+  }
+  if (this.isModified('alternatePhone') && this.alternatePhone) {
+    const alt = normalizeIndianPhone(this.alternatePhone);
+    if (!alt) this.invalidate('alternatePhone', 'Invalid Indian mobile number', this.alternatePhone);
+    else this.alternatePhone = alt;
+  }
+  next();
+});
+
+customerSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Customer', customerSchema);
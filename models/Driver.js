@@ -1,5 +1,62 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 const bcrypt = require('bcryptjs');
+const { fileSchema } = require('./VehicleDocument');
+const { LANGUAGES } = require('./NotificationTemplate');
+
+const LICENSE_CLASSES = ['LMV', 'LMV-TR', 'MCWG', 'HMV', 'HGMV', 'HPMV', 'TRANS', 'OTHER'];
+const PAY_SCHEMES = ['none', 'salary', 'commission', 'salary_commission'];
+const ID_PROOF_TYPES = ['aadhaar', 'pan', 'voter_id', 'passport', 'other'];
+
+const licenseSchema = new mongoose.Schema(
+    {
+        number: { type: String, trim: true, uppercase: true },
+        licenseClass: { type: String, enum: LICENSE_CLASSES },
+        issueDate: { type: Date },
+        expiryDate: { type: Date },
+        file: fileSchema
+    },
+    { _id: false }
+);
+
+// PSV badge required to drive a commercial passenger vehicle
+const badgeSchema = new mongoose.Schema(
+    {
+        number: { type: String, trim: true, uppercase: true },
+        expiryDate: { type: Date },
+        file: fileSchema
+    },
+    { _id: false }
+);
+
+const idProofSchema = new mongoose.Schema(
+    {
+        proofType: { type: String, enum: ID_PROOF_TYPES },
+        number: { type: String, trim: true },
+        file: fileSchema
+    },
+    { _id: false }
+);
+
+const emergencyContactSchema = new mongoose.Schema(
+    {
+        name: { type: String },
+        relation: { type: String },
+        phone: { type: String }
+    },
+    { _id: false }
+);
+
+// How the driver is paid; used by settlements
+const payRuleSchema = new mongoose.Schema(
+    {
+        scheme: { type: String, enum: PAY_SCHEMES, default: 'none' },
+        monthlySalary: { type: Number, min: 0, default: 0 },
+        commissionPercent: { type: Number, min: 0, max: 100, default: 0 },
+        commissionBasis: { type: String, enum: ['tripAmount', 'profit'], default: 'tripAmount' }
+    },
+    { _id: false }
+);
 
 const driverSchema = new mongoose.Schema(
     {
@@ -7,16 +64,39 @@ const driverSchema = new mongoose.Schema(
         email: { type: String, required: true, unique: true, lowercase: true },
         password: { type: String, required: true },
         phone: { type: String },
+        language: { type: String, enum: LANGUAGES, set: (v) => v || undefined }, // for messages; default language when unset
         role: { type: String, enum: ['driver'], default: 'driver' },
-        isActive: { type: Boolean, default: true }
+        isActive: { type: Boolean, default: true },
+        passwordChangedAt: { type: Date },
+
+        // KYC
+        address: { type: String },
+        license: licenseSchema,
+        badge: badgeSchema,
+        idProof: idProofSchema,
+        emergencyContact: emergencyContactSchema,
+
+        payRule: payRuleSchema
     },
     { timestamps: true }
 );
 
+driverSchema.index({ 'license.expiryDate': 1 });
+driverSchema.index({ 'badge.expiryDate': 1 });
+
+driverSchema.pre('validate', function (next) {
+    const license = this.license;
+    if (license && license.issueDate && license.expiryDate && license.expiryDate < license.issueDate) {
+        this.invalidate('license.expiryDate', 'License expiry cannot be before its issue date', license.expiryDate);
+    }
+    next();
+});
+
 // hash password before save
 driverSchema.pre('save', async function (next) {
     const driver = this;
     if (!driver.isModified('password')) return next();
+    if (!driver.isNew) driver.passwordChangedAt = new Date();
     const salt = await bcrypt.genSalt(10);
     driver.password = await bcrypt.hash(driver.password, salt);
     next();
@@ -27,4 +107,9 @@ driverSchema.methods.comparePassword = async function (candidate) {
     return bcrypt.compare(candidate, this.password);
 };
 
+driverSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Driver', driverSchema);
+module.exports.LICENSE_CLASSES = LICENSE_CLASSES;
+module.exports.ID_PROOF_TYPES = ID_PROOF_TYPES;
+module.exports.PAY_SCHEMES = PAY_SCHEMES;
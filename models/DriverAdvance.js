@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { PAYMENT_MODES } = require('./trips');
+
+// Money handed to a driver ahead of settlement; deducted from the next one
+const driverAdvanceSchema = new mongoose.Schema(
+  {
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver', required: true, index: true },
+    amount: { type: Number, required: true, min: 0.01 },
+    date: { type: Date, default: Date.now },
+    mode: { type: String, enum: PAYMENT_MODES, default: 'Cash' },
+    note: { type: String },
+    givenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    settlement: { type: mongoose.Schema.Types.ObjectId, ref: 'DriverSettlement', default: null, index: true }
+  },
+  { timestamps: true }
+);
+
+driverAdvanceSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('DriverAdvance', driverAdvanceSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { PAYMENT_MODES } = require('./trips');
+
+const SETTLEMENT_STATUSES = ['draft', 'locked'];
+const ADJUSTMENT_TYPES = ['allowance', 'deduction'];
+
+const adjustmentSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ADJUSTMENT_TYPES, required: true },
+    label: { type: String, required: true },
+    amount: { type: Number, required: true, min: 0 }
+  },
+  { _id: false }
+);
+
+// One row per trip counted in the period
+const settlementTripSchema = new mongoose.Schema(
+  {
+    trip: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip' },
+    bookingId: String,
+    date: Date,
+    completed: Boolean,
+    tripAmount: Number,
+    cashCollected: Number,
+    expenses: Number,
+    beta: Number,
+    commission: Number
+  },
+  { _id: false }
+);
+
+const totalsSchema = new mongoose.Schema(
+  {
+    trips: Number,
+    cashCollected: Number,
+    expenses: Number,
+    beta: Number,
+    allowances: Number,
+    salary: Number,
+    commission: Number,
+    advances: Number,
+    deductions: Number,
+    earnings: Number,
+    net: Number
+  },
+  { _id: false }
+);
+
+// Net > 0: the company owes the driver. Net < 0: the driver owes the company.
+const driverSettlementSchema = new mongoose.Schema(
+  {
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver', required: true, index: true },
+    driverName: { type: String },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    status: { type: String, enum: SETTLEMENT_STATUSES, default: 'draft', index: true },
+
+    payRule: { type: mongoose.Schema.Types.Mixed }, // snapshot used for the figures
+    trips: [settlementTripSchema],
+    advances: [{ type: mongoose.Schema.Types.ObjectId, ref: 'DriverAdvance' }],
+    adjustments: [adjustmentSchema],
+    totals: totalsSchema,
+    direction: { type: String, enum: ['company_pays', 'driver_pays', 'settled'] },
+    notes: { type: String },
+
+    // set when locked
+    paidAt: { type: Date },
+    paymentMode: { type: String, enum: PAYMENT_MODES },
+    paymentReference: { type: String },
+    lockedAt: { type: Date },
+    lockedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+  },
+  { timestamps: true }
+);
+
+driverSettlementSchema.pre('validate', function (next) {
+  if (this.periodStart && this.periodEnd && this.periodEnd < this.periodStart) {
+    this.invalidate('periodEnd', 'periodEnd cannot be before periodStart', this.periodEnd);
+  }
+  next();
+});
+
+driverSettlementSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('DriverSettlement', driverSettlementSchema);
+module.exports.SETTLEMENT_STATUSES = SETTLEMENT_STATUSES;
+module.exports.ADJUSTMENT_TYPES = ADJUSTMENT_TYPES;
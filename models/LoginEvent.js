@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const LOGIN_EVENT_REASONS = ['unknown_account', 'bad_password', 'inactive', 'locked', 'rate_limited'];
+const LOGIN_EVENT_DAYS = Number(process.env.LOGIN_EVENT_DAYS || 90);
+
+// A refused login attempt
+const loginEventSchema = new mongoose.Schema({
+    email: { type: String, lowercase: true, trim: true, index: true },
+    reason: { type: String, enum: LOGIN_EVENT_REASONS, required: true },
+    account: { type: mongoose.Schema.Types.ObjectId },
+    role: { type: String },
+    ip: { type: String, index: true },
+    userAgent: { type: String },
+    requestId: { type: String },
+    lockedUntil: { type: Date },
+    at: { type: Date, default: Date.now }
+});
+
+// drop old events after LOGIN_EVENT_DAYS
+loginEventSchema.index({ at: 1 }, { expireAfterSeconds: LOGIN_EVENT_DAYS * 86400 });
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
+module.exports.LOGIN_EVENT_REASONS = LOGIN_EVENT_REASONS;
@@ -1,9 +1,14 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { SERVICE_TYPES } = require('./ServiceSchedule');
+
+const MAINTENANCE_PAYMENT_MODES = ['Cash', 'Card', 'Online', 'Other'];
 
 const maintenanceSchema = new mongoose.Schema(
   {
     date: { type: Date, required: true },
     maintenanceType: { type: String, required: true },
+    serviceType: { type: String, enum: SERVICE_TYPES }, // which service schedule this resets
     maintenanceCost: { type: Number, required: true },
     vehicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle', required: true },
     vehicleNumber: { type: String }, // denormalized
@@ -14,11 +19,17 @@ const maintenanceSchema = new mongoose.Schema(
     driverName: { type: String },   // denormalized
     driverPhone: { type: String },  // denormalized
     company: { type: String },
-    paymentMode: { type: String, enum: ['Cash', 'Card', 'Online', 'Other'], default: 'Cash' },
-    description: { type: String }
+    paymentMode: { type: String, enum: MAINTENANCE_PAYMENT_MODES, default: 'Cash' },
+    description: { type: String },
+    // optional period the vehicle is off the road
+    downtimeStart: { type: Date },
+    downtimeEnd: { type: Date }
   },
   { timestamps: true }
 );
 
 
+maintenanceSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Maintenance', maintenanceSchema);
+module.exports.MAINTENANCE_PAYMENT_MODES = MAINTENANCE_PAYMENT_MODES;
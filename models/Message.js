@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { CHANNELS } = require('../utils/sender');
+const { TEMPLATE_EVENTS, LANGUAGES } = require('./NotificationTemplate');
+
+const MESSAGE_STATUSES = ['queued', 'sending', 'sent', 'failed', 'cancelled'];
+const RECIPIENT_TYPES = ['customer', 'driver', 'staff'];
+const MESSAGE_TRIGGERS = ['manual', 'auto', 'system'];
+
+// One try at handing the message to a provider
+const deliverySchema = new mongoose.Schema({
+    at: { type: Date, default: Date.now },
+    provider: { type: String },
+    ok: { type: Boolean, required: true },
+    providerMessageId: { type: String },
+    error: { type: String }
+}, { _id: false });
+
+// An outgoing message: the send queue and, once handled, its delivery log
+const messageSchema = new mongoose.Schema({
+    channel: { type: String, enum: CHANNELS, required: true },
+    to: { type: String, required: true },
+    subject: { type: String },
+    text: { type: String, required: true },
+    // the template body's placeholder values, in order, for WhatsApp's
+    // pre-approved template messages
+    templateParams: [{ type: String }],
+    // text is blanked once delivered or given up on (reset links, invite codes)
+    sensitive: { type: Boolean, default: false },
+
+    status: { type: String, enum: MESSAGE_STATUSES, default: 'queued', index: true },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 1 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date },
+    lastError: { type: String },
+    provider: { type: String },
+    providerMessageId: { type: String },
+    sentAt: { type: Date },
+    deliveries: [deliverySchema],
+
+    // what it is about and who it is for
+    trip: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', index: true },
+    event: { type: String, enum: TEMPLATE_EVENTS },
+    language: { type: String, enum: LANGUAGES },
+    recipientType: { type: String, enum: RECIPIENT_TYPES },
+    recipient: { type: mongoose.Schema.Types.ObjectId },
+
+    trigger: { type: String, enum: MESSAGE_TRIGGERS, default: 'system' },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId },
+    requestedByRole: { type: String },
+    requestId: { type: String }
+}, { timestamps: true });
+
+// the worker picks due messages in order
+messageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('Message', messageSchema);
+module.exports.MESSAGE_STATUSES = MESSAGE_STATUSES;
+module.exports.RECIPIENT_TYPES = RECIPIENT_TYPES;
+module.exports.MESSAGE_TRIGGERS = MESSAGE_TRIGGERS;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+const TEMPLATE_EVENTS = ['booking_confirmation', 'driver_assignment', 'reminder', 'invoice'];
+const LANGUAGES = ['en', 'hi', 'te'];
+
+// Admin-edited wording for one event in one language; built-in defaults
+// (utils/templateDefaults.js) apply where there is none.
+const notificationTemplateSchema = new mongoose.Schema(
+  {
+    event: { type: String, enum: TEMPLATE_EVENTS, required: true },
+    language: { type: String, enum: LANGUAGES, required: true },
+    subject: { type: String, trim: true }, // email only
+    body: { type: String, required: true },
+    isActive: { type: Boolean, default: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+  },
+  { timestamps: true }
+);
+
+notificationTemplateSchema.index({ event: 1, language: 1 }, { unique: true });
+
+notificationTemplateSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('NotificationTemplate', notificationTemplateSchema);
+module.exports.TEMPLATE_EVENTS = TEMPLATE_EVENTS;
+module.exports.LANGUAGES = LANGUAGES;
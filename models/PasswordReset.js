@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Single-use password reset token; only the hash is stored
+const passwordResetSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    role: { type: String, required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    channel: { type: String },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    ip: { type: String }
+  },
+  { timestamps: true }
+);
+
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordReset', passwordResetSchema);
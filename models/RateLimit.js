@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Counter / state entry for the MongoDB rate-limit store
+const rateLimitSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    count: { type: Number, default: 0 },
+    data: { type: mongoose.Schema.Types.Mixed },
+    expiresAt: { type: Date, required: true }
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+const SERVICE_TYPES = ['oil_change', 'tyres', 'brakes', 'general_service'];
+
+// Per-vehicle override of the default interval for one service type
+const serviceScheduleSchema = new mongoose.Schema(
+  {
+    vehicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle', required: true },
+    serviceType: { type: String, enum: SERVICE_TYPES, required: true },
+    intervalKm: { type: Number, min: 0 },
+    intervalDays: { type: Number, min: 0 },
+    isActive: { type: Boolean, default: true },
+    notes: { type: String }
+  },
+  { timestamps: true }
+);
+
+serviceScheduleSchema.index({ vehicle: 1, serviceType: 1 }, { unique: true });
+
+serviceScheduleSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('ServiceSchedule', serviceScheduleSchema);
+module.exports.SERVICE_TYPES = SERVICE_TYPES;
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. The refresh token itself is never stored, only its hash.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    role: { type: String, required: true },
+    tokenHash: { type: String, required: true },
+    previousTokenHash: { type: String }, // to spot a rotated-out token being replayed
+    expiresAt: { type: Date, required: true },
+    lastUsedAt: { type: Date, default: Date.now },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String },
+    ip: { type: String },
+    userAgent: { type: String }
+  },
+  { timestamps: true }
+);
+
+// let MongoDB drop sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 
 const vehicleSchema = new mongoose.Schema(
     {
@@ -9,4 +10,6 @@ const vehicleSchema = new mongoose.Schema(
     { timestamps: true }
 );
 
+vehicleSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Vehicle', vehicleSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+const DOCUMENT_TYPES = ['insurance', 'permit', 'fitness', 'puc', 'road_tax', 'registration', 'other'];
+
+// a taxi may not run without a valid one of each of these
+const MANDATORY_DOCUMENT_TYPES = ['insurance', 'permit', 'fitness', 'puc', 'road_tax'];
+
+const fileSchema = new mongoose.Schema(
+  {
+    path: String,          // relative to UPLOAD_DIR
+    originalName: String,
+    mimeType: String,
+    size: Number
+  },
+  { _id: false }
+);
+
+const vehicleDocumentSchema = new mongoose.Schema(
+  {
+    vehicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle', required: true, index: true },
+    vehicleNumber: { type: String }, // denormalized
+    documentType: { type: String, enum: DOCUMENT_TYPES, required: true },
+    documentNumber: { type: String },
+    issueDate: { type: Date },
+    expiryDate: { type: Date, index: true },
+    file: fileSchema,
+    notes: { type: String }
+  },
+  { timestamps: true }
+);
+
+vehicleDocumentSchema.pre('validate', function (next) {
+  if (this.issueDate && this.expiryDate && this.expiryDate < this.issueDate) {
+    this.invalidate('expiryDate', 'expiryDate cannot be before issueDate', this.expiryDate);
+  }
+  next();
+});
+
+vehicleDocumentSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('VehicleDocument', vehicleDocumentSchema);
+module.exports.DOCUMENT_TYPES = DOCUMENT_TYPES;
+module.exports.MANDATORY_DOCUMENT_TYPES = MANDATORY_DOCUMENT_TYPES;
+module.exports.fileSchema = fileSchema;
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 const BookingCounter = require('./BookingCounter');
+const { STATUSES, STATUS_TIMESTAMPS, canTransition } = require('../utils/tripStatus');
 
 async function nextBookingId() {
   const now = new Date();
@@ -14,6 +16,44 @@ async function nextBookingId() {
   return `${datePart}${String(doc.seq).padStart(3,'0')}`; // YYYYMMDD001
 }
 
+const FUEL_TYPES = ['Petrol','Diesel','CNG','LPG'];
+
+// One fill-up. CNG is bought by the kg; that quantity goes in `litres` too.
+const fuelEntrySchema = new mongoose.Schema({
+  fuelType: { type: String, enum: FUEL_TYPES },
+  litres: { type: Number, min: 0 },
+  pricePerLitre: { type: Number, min: 0 },
+  amount: { type: Number, min: 0 },
+  odometer: { type: Number, min: 0 },
+  station: String,
+  date: { type: Date, default: Date.now },
+  paidBy: { type: String, enum: ['driver','company'], default: 'driver' },
+});
+
+// Older trips store fuelAmount as text like "Petrol: 120, CNG: 120";
+// read those as the sum of their amounts until they are migrated.
+function castFuelAmount(value) {
+  if (typeof value === 'string' && value.trim() && isNaN(Number(value))) {
+    return (value.match(/\d+(?:\.\d+)?/g) || []).map(Number).reduce((a, b) => a + b, 0);
+  }
+  return mongoose.Schema.Types.Number.cast()(value);
+}
+
+const PAYMENT_MODES = ['Cash','UPI','Credit Card','Debit Card','Bank Transfer','Cheque'];
+const PAYMENT_STATUSES = ['unpaid','partial','paid'];
+
+const paymentSchema = new mongoose.Schema({
+  type: { type: String, enum: ['payment','refund'], default: 'payment' },
+  amount: { type: Number, required: true, min: 0.01 },
+  mode: { type: String, enum: PAYMENT_MODES, default: 'Cash' },
+  date: { type: Date, default: Date.now },
+  collectedBy: String,       // who holds the money (driver name, office, ...)
+  reference: String,         // UPI ref, cheque no, ...
+  note: String,
+  recordedBy: { type: mongoose.Schema.Types.ObjectId },
+  recordedByRole: { type: String, enum: ['admin','driver'] },
+}, { timestamps: true });
+
 const tripSchema = new mongoose.Schema({
   // Booking
   bookingId: { type: String, unique: true, index: true },
@@ -29,6 +69,7 @@ const tripSchema = new mongoose.Schema({
   vehicleNumber: { type: String, uppercase: true, index: true },
 
   // Customer
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', index: true },
   customerName: String,
   customerNumber: String,
 
@@ -46,18 +87,64 @@ const tripSchema = new mongoose.Schema({
   tripAmount: { type: Number, default: 0 },
   advanceAmount: { type: Number, default: 0 },
   balanceAmount: { type: Number, default: 0 },
-  paymentMode: { type: String, enum: ['Cash','UPI','Credit Card'], default: 'Cash' },
+  paymentMode: { type: String, enum: PAYMENT_MODES, default: 'Cash' },
   tripAmountReceivedBy: String,
 
+  // Payment ledger; amountPaid/balanceAmount/paymentStatus are derived from it
+  payments: [paymentSchema],
+  amountPaid: { type: Number, default: 0 },
+  paymentStatus: { type: String, enum: PAYMENT_STATUSES, default: 'unpaid', index: true },
+
   // Fuel & Charges
-  fuelType: { type: String, enum: ['Petrol','Diesel','CNG','Petrol & CNG'] },
-  fuelAmount: { type: String, default: 0 },
+  fuelType: { type: String, enum: ['Petrol','Diesel','CNG','LPG','Petrol & CNG'] },
+  fuelEntries: [fuelEntrySchema],
+  // total fuel spend; derived from fuelEntries when there are any
+  fuelAmount: { type: Number, default: 0, cast: castFuelAmount },
   tolls: { type: Number, default: 0 },
   parkingCharges: { type: Number, default: 0 },
   driverBeta: { type: Number, default: 0 },
+  // who paid tolls/parking (and fuel without entries); drives settlements
+  expensesPaidBy: { type: String, enum: ['driver','company'], default: 'driver' },
 
   description: String,
 
+  // Lifecycle
+  status: { type: String, enum: STATUSES, default: 'enquiry', index: true },
+  confirmedAt: Date,
+  assignedAt: Date,
+  startedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  noShowAt: Date,
+  cancelReason: String,
+  statusHistory: [{
+    _id: false,
+    from: { type: String, enum: STATUSES },
+    to: { type: String, enum: STATUSES, required: true },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId },
+    byRole: { type: String, enum: ['admin','driver'] },
+    note: String,
+  }],
+
+  // Double-booking overrides (admin accepted a driver/vehicle clash)
+  conflictOverrides: [{
+    _id: false,
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    bookingIds: [String],
+    reason: String,
+  }],
+
+  // Expired-paperwork overrides (admin let the trip go ahead anyway)
+  complianceOverrides: [{
+    _id: false,
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    issues: [String],
+    reason: String,
+  }],
+
   // Audit
   createdByRole: { type: String, enum: ['admin','driver'], required: true },
   createdBy: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
@@ -76,37 +163,125 @@ tripSchema.pre('validate', async function(next) {
   if (!this.bookingId) {
     this.bookingId = await nextBookingId();
   }
-  // balance
-  if (this.isModified('tripAmount') || this.isModified('advanceAmount') || this.balanceAmount === undefined) {
-    const trip = Number(this.tripAmount || 0);
-    const adv = Number(this.advanceAmount || 0);
-    this.balanceAmount = Math.max(0, trip - adv);
-  }
+  if (this.isNew) this.seedAdvancePayment();
+  this.recomputeFuel();
+  this.recomputeBalance();
   next();
 });
 
-tripSchema.virtual('totalExpenses').get(function() {
-  let fuel = 0;
-
-  if (this.fuelAmount) {
-    // If fuelAmount is a number string, just parse it
-    if (!isNaN(Number(this.fuelAmount))) {
-      fuel = Number(this.fuelAmount);
-    } else {
-      // If fuelAmount is like "Petrol: 120, CNG: 120"
-      const matches = this.fuelAmount.match(/\d+/g); // get all numbers
-      if (matches) {
-        fuel = matches.map(Number).reduce((a, b) => a + b, 0);
-      }
-    }
+/**
+ * Record a legacy advanceAmount as the first ledger entry, so adding
+ * instalments to an older trip doesn't drop what was already paid.
+ */
+tripSchema.methods.seedAdvancePayment = function() {
+  const adv = Number(this.advanceAmount || 0);
+  if (adv > 0 && this.payments.length === 0) {
+    const booked = this.bookingDate ? new Date(this.bookingDate) : null;
+    this.payments.push({
+      type: 'payment',
+      amount: adv,
+      mode: this.paymentMode || 'Cash',
+      date: booked && !isNaN(booked.getTime()) ? booked : (this.createdAt || new Date()),
+      collectedBy: this.tripAmountReceivedBy,
+      note: 'Advance',
+      recordedBy: this.createdBy,
+      recordedByRole: this.createdByRole,
+    });
+  }
+  return this;
+};
+
+/** Derive amountPaid, balanceAmount and paymentStatus from the ledger */
+tripSchema.methods.recomputeBalance = function() {
+  const trip = Number(this.tripAmount || 0);
+  // trips without a ledger still count their advance
+  const paid = this.payments.length
+    ? this.payments.reduce((sum, p) => sum + (p.type === 'refund' ? -1 : 1) * Number(p.amount || 0), 0)
+    : Number(this.advanceAmount || 0);
+
+  this.amountPaid = paid;
+  this.balanceAmount = Math.max(0, trip - paid);
+  if (paid <= 0) this.paymentStatus = trip > 0 ? 'unpaid' : 'paid';
+  else this.paymentStatus = paid >= trip ? 'paid' : 'partial';
+  return this;
+};
+
+/** Add a payment or refund to the ledger */
+tripSchema.methods.addPayment = function(entry) {
+  this.seedAdvancePayment();
+  if (entry.type === 'refund' && Number(entry.amount) > Number(this.amountPaid || 0)) {
+    const err = new Error('Refund cannot exceed the amount paid');
+    err.status = 400;
+    throw err;
   }
+  this.payments.push(entry);
+  this.recomputeBalance();
+  return this.payments[this.payments.length - 1];
+};
+
+/** Move the trip to a new status, recording when and by whom */
+tripSchema.methods.transitionTo = function(status, { by, byRole, note } = {}) {
+  const from = this.status;
+  if (!canTransition(from, status)) {
+    const err = new Error(`Cannot move trip from ${from} to ${status}`);
+    err.status = 409;
+    throw err;
+  }
+  const at = new Date();
+  this.status = status;
+  if (STATUS_TIMESTAMPS[status]) this[STATUS_TIMESTAMPS[status]] = at;
+  this.statusHistory.push({ from, to: status, at, by, byRole, note });
+  return this;
+};
+
+/** Fill in entry amounts from litres x price and total them into fuelAmount */
+tripSchema.methods.recomputeFuel = function() {
+  if (!this.fuelEntries.length) return this;
+
+  let total = 0;
+  const types = new Set();
+  this.fuelEntries.forEach((e) => {
+    if ((e.amount === undefined || e.amount === null) && e.litres && e.pricePerLitre) {
+      e.amount = Math.round(e.litres * e.pricePerLitre * 100) / 100;
+    }
+    total += Number(e.amount || 0);
+    if (e.fuelType) types.add(e.fuelType);
+  });
+  this.fuelAmount = Math.round(total * 100) / 100;
+
+  if (types.size === 1) this.fuelType = [...types][0];
+  else if (types.size === 2 && types.has('Petrol') && types.has('CNG')) this.fuelType = 'Petrol & CNG';
+  return this;
+};
+
+tripSchema.virtual('fuelLitres').get(function() {
+  return (this.fuelEntries || []).reduce((sum, e) => sum + Number(e.litres || 0), 0);
+});
 
+tripSchema.virtual('totalExpenses').get(function() {
+  const fuel = Number(this.fuelAmount || 0);
   const tolls = Number(this.tolls || 0);
   const parking = Number(this.parkingCharges || 0);
   const beta = Number(this.driverBeta || 0);
   return fuel + tolls + parking + beta;
 });
 
+tripSchema.virtual('distanceKm').get(function() {
+  const start = Number(this.startingReading || 0);
+  const end = Number(this.endingReading || 0);
+  return start > 0 && end > start ? end - start : 0;
+});
+
+tripSchema.virtual('revenuePerKm').get(function() {
+  const km = this.distanceKm;
+  return km ? Math.round((Number(this.tripAmount || 0) / km) * 100) / 100 : null;
+});
+
+tripSchema.virtual('costPerKm').get(function() {
+  const km = this.distanceKm;
+  return km ? Math.round((this.totalExpenses / km) * 100) / 100 : null;
+});
+
 tripSchema.virtual('profit').get(function() {
   const tripAmt = Number(this.tripAmount || 0);
   return tripAmt - this.totalExpenses;
@@ -118,4 +293,9 @@ tripSchema.set('toJSON', { virtuals: true });
 tripSchema.set('toObject', { virtuals: true });
 
 
+tripSchema.plugin(auditPlugin, { softDelete: 'isDriverDeleted' });
+
 module.exports = mongoose.model('Trip', tripSchema);
+module.exports.FUEL_TYPES = FUEL_TYPES;
+module.exports.PAYMENT_MODES = PAYMENT_MODES;
+module.exports.PAYMENT_STATUSES = PAYMENT_STATUSES;
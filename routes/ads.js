@@ -1,67 +1,85 @@
 const express = require('express');
 const router = express.Router();
 const Ad = require('../models/Ad');
-const { authMiddleware, adminOnly } = require('../middleware/auth');
+const { authMiddleware, permit } = require('../middleware/auth');
+const { adCreateValidators, adUpdateValidators } = require('../utils/validators');
+const { dateRange } = require('../utils/tripHelpers');
+const { parseFormat, selectColumns, streamExport } = require('../utils/exporter');
+const { adColumns } = require('../utils/exportColumns');
 
 // CREATE Ad
-router.post('/', authMiddleware, adminOnly, async (req, res) => {
+router.post('/', authMiddleware, permit('ads:write'), adCreateValidators, async (req, res, next) => {
   try {
     const { date, paymentMode, amount } = req.body;
-    if (!date || !paymentMode || !amount) return res.status(400).json({ message: 'All fields are required' });
-
     const ad = new Ad({ date, paymentMode, amount });
     await ad.save();
     res.status(201).json({ message: 'Ad created', ad });
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
   }
 });
 
 // READ all Ads
-router.get('/', authMiddleware, adminOnly, async (req, res) => {
+router.get('/', authMiddleware, permit('ads:read'), async (req, res, next) => {
   try {
     const ads = await Ad.find().sort({ date: -1 });
     res.json(ads);
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
+  }
+});
+
+// EXPORT Ads as CSV/XLSX (?format=&columns=&from=&to=)
+router.get('/export', authMiddleware, permit('ads:read'), async (req, res, next) => {
+  try {
+    const format = parseFormat(req.query.format);
+    const columns = selectColumns(adColumns, req.query.columns);
+
+    const query = {};
+    if (req.query.from || req.query.to) query.date = dateRange(req.query.from, req.query.to);
+
+    await streamExport(res, {
+      format,
+      filename: 'ads',
+      sheetName: 'Ads',
+      columns,
+      cursor: Ad.find(query).sort({ date: -1 }).cursor(),
+    });
+  } catch (err) {
+    next(err);
   }
 });
 
 // READ single Ad
-router.get('/:id', authMiddleware, adminOnly, async (req, res) => {
+router.get('/:id', authMiddleware, permit('ads:read'), async (req, res, next) => {
   try {
     const ad = await Ad.findById(req.params.id);
     if (!ad) return res.status(404).json({ message: 'Ad not found' });
     res.json(ad);
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
   }
 });
 
 // UPDATE Ad
-router.put('/:id', authMiddleware, adminOnly, async (req, res) => {
+router.put('/:id', authMiddleware, permit('ads:write'), adUpdateValidators, async (req, res, next) => {
   try {
-    const { date, paymentMode, amount } = req.body;
-    const ad = await Ad.findByIdAndUpdate(
-      req.params.id,
-      { date, paymentMode, amount },
-      { new: true }
-    );
+    const ad = await Ad.findByIdAndUpdate(req.params.id, { $set: req.body }, { new: true, runValidators: true });
     if (!ad) return res.status(404).json({ message: 'Ad not found' });
     res.json({ message: 'Ad updated', ad });
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
   }
 });
 
 // DELETE Ad
-router.delete('/:id', authMiddleware, adminOnly, async (req, res) => {
+router.delete('/:id', authMiddleware, permit('ads:write'), async (req, res, next) => {
   try {
     const ad = await Ad.findByIdAndDelete(req.params.id);
     if (!ad) return res.status(404).json({ message: 'Ad not found' });
     res.json({ message: 'Ad deleted' });
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
   }
 });
 
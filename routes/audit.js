@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const LoginEvent = require('../models/LoginEvent');
+const { authMiddleware, permit } = require('../middleware/auth');
+const { badRequest, dateRange, parsePaging } = require('../utils/tripHelpers');
+
+const AUDIT_SORT_FIELDS = ['at'];
+
+// "trips", "trip" or "Trip" -> "Trip"
+function resolveEntity(name) {
+  const wanted = String(name).toLowerCase();
+  const entity = mongoose.modelNames().find((m) => {
+    const lower = m.toLowerCase();
+    return lower === wanted || `${lower}s` === wanted;
+  });
+  if (!entity || entity === 'AuditLog') throw badRequest(`Unknown entity: ${name}`);
+  return entity;
+}
+
+function objectId(value, name) {
+  if (!mongoose.Types.ObjectId.isValid(value)) throw badRequest(`Invalid ${name}`);
+  return new mongoose.Types.ObjectId(value);
+}
+
+async function sendPage(req, res, match) {
+  const q = req.query;
+  if (q.action) {
+    if (!AuditLog.AUDIT_ACTIONS.includes(q.action)) throw badRequest(`action must be one of ${AuditLog.AUDIT_ACTIONS.join(', ')}`);
+    match.action = q.action;
+  }
+  if (q.from || q.to) match.at = dateRange(q.from, q.to);
+
+  const { page, limit, skip, sort } = parsePaging(q, { sortFields: AUDIT_SORT_FIELDS, defaultSort: '-at' });
+  const [rows, total] = await Promise.all([
+    AuditLog.find(match).sort(sort).skip(skip).limit(limit).lean(),
+    AuditLog.countDocuments(match),
+  ]);
+  res.json({ total, page, limit, pages: Math.ceil(total / limit), rows });
+}
+
+// Search the log (?entity&entityId&actorId&action&from&to)
+router.get('/', authMiddleware, permit('audit:read'), async (req, res, next) => {
+  try {
+    const match = {};
+    if (req.query.entity) match.entity = resolveEntity(req.query.entity);
+    if (req.query.entityId) match.entityId = objectId(req.query.entityId, 'entityId');
+    if (req.query.actorId) match.actorId = objectId(req.query.actorId, 'actorId');
+    await sendPage(req, res, match);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// History of one record, e.g. /records/trips/<id>
+router.get('/records/:entity/:entityId', authMiddleware, permit('audit:read'), async (req, res, next) => {
+  try {
+    await sendPage(req, res, {
+      entity: resolveEntity(req.params.entity),
+      entityId: objectId(req.params.entityId, 'entityId'),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Everything one admin or driver changed (?entity to narrow down)
+router.get('/users/:userId', authMiddleware, permit('audit:read'), async (req, res, next) => {
+  try {
+    const match = { actorId: objectId(req.params.userId, 'userId') };
+    if (req.query.entity) match.entity = resolveEntity(req.query.entity);
+    await sendPage(req, res, match);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Refused logins (?email&ip&reason&from&to)
+router.get('/logins', authMiddleware, permit('audit:read'), async (req, res, next) => {
+  try {
+    const q = req.query;
+    const match = {};
+    if (q.email) match.email = String(q.email).toLowerCase().trim();
+    if (q.ip) match.ip = String(q.ip);
+    if (q.reason) {
+      if (!LoginEvent.LOGIN_EVENT_REASONS.includes(q.reason)) {
+        throw badRequest(`reason must be one of ${LoginEvent.LOGIN_EVENT_REASONS.join(', ')}`);
+      }
+      match.reason = q.reason;
+    }
+    if (q.from || q.to) match.at = dateRange(q.from, q.to);
+
+    const { page, limit, skip, sort } = parsePaging(q, { sortFields: AUDIT_SORT_FIELDS, defaultSort: '-at' });
+    const [rows, total] = await Promise.all([
+      LoginEvent.find(match).sort(sort).skip(skip).limit(limit).lean(),
+      LoginEvent.countDocuments(match),
+    ]);
+    res.json({ total, page, limit, pages: Math.ceil(total / limit), rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
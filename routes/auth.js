@@ -1,42 +1,132 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const { validationResult } = require('express-validator');
 const Admin = require('../models/Admin');
 const Driver = require('../models/Driver');
-const { loginValidators } = require('../utils/validators');
+const Session = require('../models/Session');
+const { authMiddleware, permit } = require('../middleware/auth');
+const {
+    adminRegisterValidators,
+    loginValidators,
+    acceptInviteValidators,
+    changePasswordValidators,
+    forgotPasswordValidators,
+    resetPasswordValidators
+} = require('../utils/validators');
+const { issueTokens, findSession, rotateTokens, revokeSession, revokeSessions } = require('../utils/sessions');
+const { sendResetToken, consumeResetToken } = require('../utils/passwordReset');
+const { findPendingInvite } = require('../utils/invites');
+const { permissionsFor, can } = require('../utils/permissions');
+const {
+    normalizeEmail,
+    recordLoginEvent,
+    assertLoginAllowed,
+    assertResetAllowed,
+    recordLoginFailure,
+    clearLoginFailures,
+    loginStatus,
+    unlockLogin
+} = require('../utils/loginLimiter');
 
 
-const JWT_SECRET = process.env.JWT_SECRET || 'replace_with_a_strong_secret';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+function loadUser(role, id) {
+    const Model = role === 'admin' ? Admin : Driver;
+    return Model.findById(id).select('-password');
+}
 
+// what login-type responses say about the user
+function profile(user, role) {
+    const accessRole = role === 'admin' ? user.role || 'admin' : 'driver';
+    return { id: user._id, name: user.name, email: user.email, role, accessRole, permissions: permissionsFor(accessRole) };
+}
 
-// Admin register (one-time / for setup) - OPTIONAL
-router.post('/admin/register', async (req, res) => {
+
+// Open registration is gone: first run uses /bootstrap, everyone after is invited
+router.post('/admin/register', (req, res) => {
+    res.status(410).json({ message: 'Admin registration is closed; use /api/auth/bootstrap on first run or ask an owner for an invite' });
+});
+
+
+// Whether the first-run owner account still has to be created
+router.get('/bootstrap', async (req, res, next) => {
     try {
+        res.json({ required: !(await Admin.exists({})) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// First run only: create the owner. Needs BOOTSTRAP_TOKEN when that is set,
+// and always in production.
+router.post('/bootstrap', adminRegisterValidators, async (req, res, next) => {
+    try {
+        const setupToken = process.env.BOOTSTRAP_TOKEN;
+        if (!setupToken && process.env.NODE_ENV === 'production') {
+            return res.status(403).json({ message: 'Set BOOTSTRAP_TOKEN on the server to create the first account' });
+        }
+        if (setupToken && req.body.setupToken !== setupToken) {
+            return res.status(403).json({ message: 'Invalid setup token' });
+        }
+        if (await Admin.exists({})) return res.status(409).json({ message: 'Already set up' });
+
         const { name, email, password } = req.body;
-        if (!name || !email || !password) return res.status(400).json({ message: 'Missing fields' });
-        const exists = await Admin.findOne({ email });
-        if (exists) return res.status(400).json({ message: 'Admin already exists' });
-        const admin = new Admin({ name, email, password });
+        const owner = new Admin({ name, email, password, role: 'owner', bootstrap: true });
+        await owner.save();
+
+        const tokens = await issueTokens(owner, 'admin', req);
+        res.status(201).json({ ...tokens, user: profile(owner, 'admin') });
+    } catch (err) {
+        if (err.code === 11000) return res.status(409).json({ message: 'Already set up' });
+        next(err);
+    }
+});
+
+
+// Create a staff account from an invite
+router.post('/accept-invite', acceptInviteValidators, async (req, res, next) => {
+    try {
+        const invite = await findPendingInvite(req.body.token);
+        if (!invite) return res.status(400).json({ message: 'Invite is invalid or has expired' });
+        if (await Admin.exists({ email: invite.email }) || await Driver.exists({ email: invite.email })) {
+            return res.status(409).json({ message: 'An account with this email already exists' });
+        }
+
+        const admin = new Admin({
+            name: req.body.name,
+            email: invite.email,
+            password: req.body.password,
+            role: invite.role,
+            invitedBy: invite.invitedBy,
+        });
         await admin.save();
-        res.status(201).json({ message: 'Admin created' });
+
+        invite.acceptedAt = new Date();
+        invite.acceptedAdmin = admin._id;
+        await invite.save();
+
+        const tokens = await issueTokens(admin, 'admin', req);
+        res.status(201).json({ ...tokens, user: profile(admin, 'admin') });
     } catch (err) {
-        res.status(500).json({ message: 'Server error', error: err.message });
+        if (err.code === 11000) return res.status(409).json({ message: 'An account with this email already exists' });
+        next(err);
     }
 });
 
 
-// Login (shared for both admin and driver)
-router.post('/login', loginValidators, async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+// Signed-in user with role and permissions
+router.get('/me', authMiddleware, (req, res) => {
+    res.json(profile(req.userModel, req.user.role));
+});
 
 
+// Login (shared for both admin and driver)
+router.post('/login', loginValidators, async (req, res, next) => {
     const { email, password } = req.body;
 
 
     try {
+        await assertLoginAllowed(req, email);
+
         // Try admin first
         let user = await Admin.findOne({ email });
         let role = 'admin';
@@ -44,20 +134,182 @@ router.post('/login', loginValidators, async (req, res) => {
             user = await Driver.findOne({ email });
             role = 'driver';
         }
-        if (!user) return res.status(400).json({ message: 'Invalid credentials' });
+        if (!user) {
+            await recordLoginFailure(req, email, 'unknown_account');
+            return res.status(400).json({ message: 'Invalid credentials' });
+        }
 
 
         const isMatch = await user.comparePassword(password);
-        if (!isMatch) return res.status(400).json({ message: 'Invalid credentials' });
+        if (!isMatch) {
+            await recordLoginFailure(req, email, 'bad_password', { user, role });
+            return res.status(400).json({ message: 'Invalid credentials' });
+        }
+        if (user.isActive === false) {
+            await recordLoginEvent(req, email, 'inactive', { account: user._id, role });
+            return res.status(403).json({ message: 'Account is deactivated' });
+        }
 
+        await clearLoginFailures(email);
+        const tokens = await issueTokens(user, role, req);
+        res.json({ ...tokens, user: profile(user, role) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// Lockout / rate-limit state for an account (?email=) and/or IP (?ip=)
+router.get('/lockouts', authMiddleware, permit('staff:manage', 'drivers:write'), async (req, res, next) => {
+    try {
+        const { email, ip } = req.query;
+        if (!email && !ip) return res.status(400).json({ message: 'email or ip is required' });
+        res.json(await loginStatus({ email, ip }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// Unlock an account and/or IP. Staff accounts need staff:manage, drivers drivers:write.
+router.post('/unlock', authMiddleware, permit('staff:manage', 'drivers:write'), async (req, res, next) => {
+    try {
+        const { email, ip } = req.body;
+        if (!email && !ip) return res.status(400).json({ message: 'email or ip is required' });
+
+        if (email) {
+            const isStaff = await Admin.exists({ email: normalizeEmail(email) });
+            const needed = isStaff ? 'staff:manage' : 'drivers:write';
+            if (!can(req.user, needed)) return res.status(403).json({ message: 'Not allowed', code: 'PERMISSION_DENIED', required: [needed] });
+        }
+        if (ip && !can(req.user, 'staff:manage')) {
+            return res.status(403).json({ message: 'Not allowed', code: 'PERMISSION_DENIED', required: ['staff:manage'] });
+        }
+
+        await unlockLogin({ email, ip });
+        res.json({ message: 'Unlocked', ...(await loginStatus({ email, ip })) });
+    } catch (err) {
+        next(err);
+    }
+});
 
-        const payload = { id: user._id.toString(), role: role };
-        const token = jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
 
+// Swap a refresh token for a new access + refresh token pair
+router.post('/refresh', async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) return res.status(400).json({ message: 'refreshToken is required' });
+
+        const { user, role, ...tokens } = await rotateTokens(refreshToken, loadUser);
+        res.json({ ...tokens, user: profile(user, role) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// End the current session (or the one the refresh token belongs to)
+router.post('/logout', authMiddleware, async (req, res, next) => {
+    try {
+        let sessionId = req.user.sid;
+        if (req.body.refreshToken) {
+            const found = await findSession(req.body.refreshToken);
+            if (found && String(found.session.user) === String(req.user.id)) sessionId = found.session._id;
+        }
+        if (sessionId) await revokeSession(sessionId, 'logout');
+        res.json({ message: 'Logged out' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// End every session of the signed-in user
+router.post('/logout-all', authMiddleware, async (req, res, next) => {
+    try {
+        const revoked = await revokeSessions(req.user.id, 'logout all');
+        res.json({ message: 'Logged out of all devices', revoked });
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// Active sessions of the signed-in user
+router.get('/sessions', authMiddleware, async (req, res, next) => {
+    try {
+        const sessions = await Session.find({ user: req.user.id, revokedAt: null, expiresAt: { $gt: new Date() } })
+            .select('ip userAgent createdAt lastUsedAt expiresAt')
+            .sort({ lastUsedAt: -1 })
+            .lean();
+        res.json(sessions.map((s) => ({ ...s, current: String(s._id) === req.user.sid })));
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// Change own password; every session ends and a fresh one is returned
+router.post('/change-password', authMiddleware, changePasswordValidators, async (req, res, next) => {
+    try {
+        const Model = req.user.role === 'admin' ? Admin : Driver;
+        const user = await Model.findById(req.user.id);
+        if (!user) return res.status(404).json({ message: 'Account not found' });
+
+        const { currentPassword, newPassword } = req.body;
+        if (!(await user.comparePassword(currentPassword))) return res.status(400).json({ message: 'Current password is incorrect' });
+        if (currentPassword === newPassword) return res.status(400).json({ message: 'New password must be different' });
+
+        user.password = newPassword;
+        await user.save();
+        await revokeSessions(user._id, 'password changed');
+
+        const tokens = await issueTokens(user, req.user.role, req);
+        res.json({ message: 'Password changed', ...tokens });
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// Send a reset code; the reply is the same whether or not the account exists
+router.post('/forgot-password', forgotPasswordValidators, async (req, res, next) => {
+    try {
+        const email = String(req.body.email).toLowerCase();
+        await assertResetAllowed(req, email);
+        let user = await Admin.findOne({ email });
+        let role = 'admin';
+        if (!user) {
+            user = await Driver.findOne({ email });
+            role = 'driver';
+        }
+
+        if (user && user.isActive !== false) await sendResetToken(user, role, req.body.channel || 'email', req);
+        res.json({ message: 'If the account exists, a reset code has been sent' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// Set a new password with a reset code; signs out all devices
+router.post('/reset-password', resetPasswordValidators, async (req, res, next) => {
+    try {
+        const reset = await consumeResetToken(req.body.token);
+        if (!reset) return res.status(400).json({ message: 'Reset code is invalid or has expired' });
+
+        const Model = reset.role === 'admin' ? Admin : Driver;
+        const user = await Model.findById(reset.user);
+        if (!user) return res.status(400).json({ message: 'Reset code is invalid or has expired' });
 
-        res.json({ token, user: { id: user._id, name: user.name, email: user.email, role } });
+        user.password = req.body.newPassword;
+        await user.save();
+        await revokeSessions(user._id, 'password reset');
+        // a reset proves ownership, so lift any lockout
+        await clearLoginFailures(user.email);
+        res.json({ message: 'Password has been reset, please log in' });
     } catch (err) {
-        res.status(500).json({ message: 'Server error', error: err.message });
+        next(err);
     }
 });
 
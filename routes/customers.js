@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const Customer = require('../models/Customer');
+const Trip = require('../models/trips');
+const { authMiddleware, permit } = require('../middleware/auth');
+const { buildMatch, parsePaging, escapeRegex } = require('../utils/tripHelpers');
+const { VOID_STATUSES } = require('../utils/tripStatus');
+const { normalizeIndianPhone } = require('../utils/phone');
+const { customerCreateValidators, customerUpdateValidators } = require('../utils/validators');
+
+const CUSTOMER_FIELDS = ['name', 'phone', 'alternatePhone', 'email', 'address', 'notes', 'language'];
+const CUSTOMER_SORT_FIELDS = ['name', 'phone', 'createdAt', 'updatedAt'];
+
+function pick(body) {
+  const out = {};
+  CUSTOMER_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) out[field] = body[field];
+  });
+  return out;
+}
+
+/** Lifetime figures for one customer, from their trips */
+async function customerSummary(customerId) {
+  const [row] = await Trip.aggregate([
+    { $match: { customerId, isDriverDeleted: { $ne: true } } },
+    {
+      $group: {
+        _id: null,
+        totalTrips: { $sum: { $cond: [{ $in: ['$status', VOID_STATUSES] }, 0, 1] } },
+        cancelledTrips: { $sum: { $cond: [{ $in: ['$status', VOID_STATUSES] }, 1, 0] } },
+        lifetimeValue: {
+          $sum: { $cond: [{ $in: ['$status', VOID_STATUSES] }, 0, { $ifNull: ['$tripAmount', 0] }] },
+        },
+        outstanding: {
+          $sum: { $cond: [{ $in: ['$status', VOID_STATUSES] }, 0, { $ifNull: ['$balanceAmount', 0] }] },
+        },
+        firstTripAt: { $min: '$startDate' },
+        lastTripAt: { $max: '$startDate' },
+      },
+    },
+  ]);
+
+  const summary = row || { totalTrips: 0, cancelledTrips: 0, lifetimeValue: 0, outstanding: 0, firstTripAt: null, lastTripAt: null };
+  delete summary._id;
+  return summary;
+}
+
+// CREATE customer
+router.post('/', authMiddleware, permit('customers:write'), customerCreateValidators, async (req, res, next) => {
+  try {
+    const data = pick(req.body);
+    if (!data.name || !data.phone) return res.status(400).json({ message: 'name and phone are required' });
+
+    const phone = normalizeIndianPhone(data.phone);
+    if (!phone) return res.status(400).json({ message: 'Invalid Indian mobile number' });
+    if (await Customer.findOne({ phone })) return res.status(400).json({ message: 'Customer phone already exists' });
+
+    const customer = new Customer(data);
+    await customer.save();
+    res.status(201).json(customer);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// LIST customers (?search=&page=&limit=&sort=)
+router.get('/', authMiddleware, permit('customers:read'), async (req, res, next) => {
+  try {
+    const { page, limit, skip, sort } = parsePaging(req.query, { sortFields: CUSTOMER_SORT_FIELDS, defaultSort: 'name' });
+
+    const match = {};
+    if (req.query.search) {
+      const re = new RegExp(escapeRegex(req.query.search), 'i');
+      const phone = normalizeIndianPhone(req.query.search);
+      match.$or = [{ name: re }, { phone: re }, { email: re }];
+      if (phone) match.$or.push({ phone }, { alternatePhone: phone });
+    }
+
+    const [rows, total] = await Promise.all([
+      Customer.find(match).sort(sort).skip(skip).limit(limit),
+      Customer.countDocuments(match),
+    ]);
+
+    res.json({ total, page, limit, pages: Math.ceil(total / limit), rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// READ customer with lifetime value
+router.get('/:id', authMiddleware, permit('customers:read'), async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) return res.status(404).json({ message: 'Customer not found' });
+
+    res.json({ ...customer.toObject(), summary: await customerSummary(customer._id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Trip history for a customer (accepts the usual trip list filters)
+router.get('/:id/trips', authMiddleware, permit('customers:read'), async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) return res.status(404).json({ message: 'Customer not found' });
+
+    req.query.customerId = String(customer._id);
+    const match = buildMatch(req);
+    const { page, limit, skip, sort } = parsePaging({ sort: '-startDate', ...req.query });
+
+    const [rows, total] = await Promise.all([
+      Trip.find(match).sort(sort).skip(skip).limit(limit),
+      Trip.countDocuments(match),
+    ]);
+
+    res.json({ total, page, limit, pages: Math.ceil(total / limit), rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// UPDATE customer (name/number snapshots on existing trips are left as they were)
+router.put('/:id', authMiddleware, permit('customers:write'), customerUpdateValidators, async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) return res.status(404).json({ message: 'Customer not found' });
+
+    Object.assign(customer, pick(req.body));
+    await customer.save();
+    res.json(customer);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE customer (only when no trips reference it)
+router.delete('/:id', authMiddleware, permit('customers:write'), async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) return res.status(404).json({ message: 'Customer not found' });
+
+    const trips = await Trip.countDocuments({ customerId: customer._id });
+    if (trips) return res.status(409).json({ message: `Customer has ${trips} trip(s) and cannot be deleted` });
+
+    await customer.deleteOne();
+    res.json({ message: 'Customer deleted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,79 +1,190 @@
 const express = require('express');
 const router = express.Router();
-const { validationResult } = require('express-validator');
 const Driver = require('../models/Driver');
-const { authMiddleware, adminOnly,driverOnly } = require('../middleware/auth');
-const { driverCreateValidators } = require('../utils/validators');
+const { authMiddleware, permit } = require('../middleware/auth');
+const { can } = require('../utils/permissions');
+const {
+  driverCreateValidators,
+  driverUpdateValidators,
+  payRuleValidators,
+  driverKycValidators,
+} = require('../utils/validators');
+const { uploader, handleUpload, fileInfo, absolutePath, removeFile } = require('../utils/uploads');
+const DriverSettlement = require('../models/DriverSettlement');
+const { buildStatement } = require('../utils/settlements');
+const { revokeSessions } = require('../utils/sessions');
 
-// Create driver - Admin only
-router.post('/', authMiddleware, adminOnly, driverCreateValidators, async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+// body key -> driver path; multipart sends flat keys, JSON may nest them instead
+const KYC_FIELDS = {
+  address: 'address',
+  licenseNumber: 'license.number',
+  licenseClass: 'license.licenseClass',
+  licenseIssueDate: 'license.issueDate',
+  licenseExpiry: 'license.expiryDate',
+  badgeNumber: 'badge.number',
+  badgeExpiry: 'badge.expiryDate',
+  idProofType: 'idProof.proofType',
+  idProofNumber: 'idProof.number',
+  emergencyContactName: 'emergencyContact.name',
+  emergencyContactRelation: 'emergencyContact.relation',
+  emergencyContactPhone: 'emergencyContact.phone',
+};
+
+// upload field -> subdocument holding the scan
+const KYC_FILES = { licenseFile: 'license', badgeFile: 'badge', idProofFile: 'idProof' };
+
+const kycUpload = handleUpload(
+  uploader('driver-documents').fields(Object.keys(KYC_FILES).map((name) => ({ name, maxCount: 1 })))
+);
+
+const DAY_MS = 86400000;
+
+function uploadedFiles(req) {
+  return Object.values(req.files || {}).flat();
+}
 
+function valueAt(body, path) {
+  return path.split('.').reduce((obj, key) => (obj && typeof obj === 'object' ? obj[key] : undefined), body);
+}
+
+// Create driver - Admin only
+router.post('/', authMiddleware, permit('drivers:write'), driverCreateValidators, async (req, res, next) => {
   try {
-    const { name, email, password, phone } = req.body;
+    const { name, email, password, phone, language } = req.body;
     if (await Driver.findOne({ email })) return res.status(400).json({ message: 'Driver email already exists' });
 
-    const driver = new Driver({ name, email, password, phone });
+    const driver = new Driver({ name, email, password, phone, language });
     await driver.save();
     const driverObj = driver.toObject();
     delete driverObj.password;
     res.status(201).json(driverObj);
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
   }
 });
 
 
 // Get all drivers - Admin only
-router.get('/', authMiddleware, adminOnly, async (req, res) => {
+router.get('/', authMiddleware, permit('drivers:read'), async (req, res, next) => {
   try {
     const drivers = await Driver.find().select('-password').sort({ createdAt: -1 });
     const total = await Driver.countDocuments();
     res.json({ total, drivers });
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
   }
 });
 
 // Get current logged-in driver info
-router.get('/me', authMiddleware, driverOnly, async (req, res) => {
+router.get('/me', authMiddleware, permit('self:driver'), async (req, res, next) => {
     try {
       const driver = await Driver.findById(req.user.id).select('-password');
       if (!driver) return res.status(404).json({ message: 'Driver not found' });
       res.json(driver);
     } catch (err) {
-      res.status(500).json({ message: 'Server error', error: err.message });
+      next(err);
     }
   });
+
+// Own running statement for ?from&to (nothing saved)
+router.get('/me/statement', authMiddleware, permit('self:driver'), async (req, res, next) => {
+  try {
+    const statement = await buildStatement(req.user.id, { from: req.query.from, to: req.query.to });
+    res.json(statement);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Own settlements, newest first
+router.get('/me/settlements', authMiddleware, permit('self:driver'), async (req, res, next) => {
+  try {
+    const settlements = await DriverSettlement.find({ driver: req.user.id })
+      .select('-trips -payRule -createdBy -lockedBy')
+      .sort({ periodStart: -1 });
+    res.json(settlements);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/me/settlements/:settlementId', authMiddleware, permit('self:driver'), async (req, res, next) => {
+  try {
+    const settlement = await DriverSettlement.findOne({ _id: req.params.settlementId, driver: req.user.id })
+      .select('-createdBy -lockedBy')
+      .populate('advances', 'amount date mode note');
+    if (!settlement) return res.status(404).json({ message: 'Settlement not found' });
+    res.json(settlement);
+  } catch (err) {
+    next(err);
+  }
+});
   
 
+// Licenses / PSV badges expiring within ?days= (default 30), already expired included
+router.get('/expiring', authMiddleware, permit('drivers:read'), async (req, res, next) => {
+  try {
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0) return res.status(400).json({ message: 'days must be a non-negative integer' });
+
+    const now = new Date();
+    const until = new Date(now.getTime() + days * DAY_MS);
+    const drivers = await Driver.find({
+      isActive: { $ne: false },
+      $or: [{ 'license.expiryDate': { $lte: until } }, { 'badge.expiryDate': { $lte: until } }],
+    }).select('name phone email license.number license.licenseClass license.expiryDate badge.number badge.expiryDate').lean();
+
+    const rows = [];
+    drivers.forEach((d) => {
+      ['license', 'badge'].forEach((documentType) => {
+        const doc = d[documentType];
+        if (!doc || !doc.expiryDate || doc.expiryDate > until) return;
+        rows.push({
+          driverId: d._id,
+          name: d.name,
+          phone: d.phone,
+          documentType,
+          number: doc.number,
+          expiryDate: doc.expiryDate,
+          daysRemaining: Math.ceil((new Date(doc.expiryDate) - now) / DAY_MS),
+          expired: doc.expiryDate < now,
+        });
+      });
+    });
+    rows.sort((a, b) => a.expiryDate - b.expiryDate);
+
+    res.json({ days, count: rows.length, documents: rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Get single driver - Admin or self
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, async (req, res, next) => {
   try {
     const driver = await Driver.findById(req.params.id).select('-password');
     if (!driver) return res.status(404).json({ message: 'Driver not found' });
 
     // Allow access if admin or the driver is fetching their own data
-    if (req.user.role !== 'admin' && req.user.id !== driver._id.toString()) {
+    if (!can(req.user, 'drivers:read') && req.user.id !== driver._id.toString()) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
     res.json(driver);
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
   }
 });
 
 
 // Update driver - Admin only
-router.put('/:id', authMiddleware, adminOnly, async (req, res) => {
+router.put('/:id', authMiddleware, permit('drivers:write'), driverUpdateValidators, async (req, res, next) => {
     try {
       const updates = { ...req.body };
       const driver = await Driver.findById(req.params.id);
       if (!driver) return res.status(404).json({ message: 'Driver not found' });
   
-      const allowed = ['name', 'email', 'phone', 'password', 'isActive'];
+      const allowed = ['name', 'email', 'phone', 'password', 'isActive', 'language'];
       allowed.forEach((field) => {
         if (updates[field] !== undefined) {
           // 🚀 skip empty password update
@@ -81,27 +192,111 @@ router.put('/:id', authMiddleware, adminOnly, async (req, res) => {
           driver[field] = updates[field];
         }
       });
-  
+
+      const deactivated = driver.isModified('isActive') && driver.isActive === false;
+      const passwordChanged = driver.isModified('password');
       await driver.save();
+      if (deactivated) await revokeSessions(driver._id, 'account deactivated');
+      else if (passwordChanged) await revokeSessions(driver._id, 'password changed');
   
       const driverObj = driver.toObject();
       delete driverObj.password;
       res.json(driverObj);
     } catch (err) {
-      if (err.code === 11000)
-        return res.status(400).json({ message: 'Email already in use' });
-      res.status(500).json({ message: 'Server error', error: err.message });
+      next(err);
     }
   });
   
+// Set how the driver is paid - Admin only
+router.put('/:id/pay-rule', authMiddleware, permit('settlements:manage'), payRuleValidators, async (req, res, next) => {
+  try {
+    const driver = await Driver.findById(req.params.id);
+    if (!driver) return res.status(404).json({ message: 'Driver not found' });
+
+    ['scheme', 'monthlySalary', 'commissionPercent', 'commissionBasis'].forEach((field) => {
+      if (req.body[field] !== undefined) driver.set(`payRule.${field}`, req.body[field]);
+    });
+    await driver.save();
+    res.json({ driverId: driver._id, payRule: driver.payRule });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update license / badge / ID proof / contact details - Admin only.
+// Multipart with optional licenseFile, badgeFile and idProofFile scans.
+router.put('/:id/kyc', authMiddleware, permit('drivers:write'), kycUpload, driverKycValidators, async (req, res, next) => {
+  const files = uploadedFiles(req);
+  try {
+    const driver = await Driver.findById(req.params.id);
+    if (!driver) {
+      files.forEach((f) => removeFile(fileInfo(f).path));
+      return res.status(404).json({ message: 'Driver not found' });
+    }
+
+    Object.entries(KYC_FIELDS).forEach(([key, path]) => {
+      const value = req.body[key] !== undefined ? req.body[key] : valueAt(req.body, path);
+      if (value === undefined) return;
+      driver.set(path, value === '' || value === null ? undefined : value);
+    });
+
+    const replaced = [];
+    Object.entries(KYC_FILES).forEach(([field, doc]) => {
+      const file = req.files && req.files[field] && req.files[field][0];
+      if (!file) return;
+      const old = driver.get(`${doc}.file.path`);
+      if (old) replaced.push(old);
+      driver.set(`${doc}.file`, fileInfo(file));
+    });
+
+    await driver.save();
+    replaced.forEach(removeFile);
+
+    const driverObj = driver.toObject();
+    delete driverObj.password;
+    res.json(driverObj);
+  } catch (err) {
+    files.forEach((f) => removeFile(fileInfo(f).path));
+    next(err);
+  }
+});
+
+// Download a KYC scan (license | badge | idProof) - Admin or self
+router.get('/:id/kyc/:document/file', authMiddleware, async (req, res, next) => {
+  try {
+    if (!Object.values(KYC_FILES).includes(req.params.document)) {
+      return res.status(400).json({ message: `document must be one of ${Object.values(KYC_FILES).join(', ')}` });
+    }
+    if (!can(req.user, 'drivers:read') && req.user.id !== req.params.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const driver = await Driver.findById(req.params.id).select(req.params.document);
+    if (!driver) return res.status(404).json({ message: 'Driver not found' });
+    const file = driver.get(`${req.params.document}.file`);
+    const full = file && file.path && absolutePath(file.path);
+    if (!full) return res.status(404).json({ message: 'No file attached' });
+
+    res.type(file.mimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `inline; filename="${(file.originalName || req.params.document).replace(/"/g, '')}"`);
+    res.sendFile(full, (err) => {
+      if (err && !res.headersSent) res.status(404).json({ message: 'File missing on disk' });
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Delete driver - Admin only
-router.delete('/:id', authMiddleware, adminOnly, async (req, res) => {
+router.delete('/:id', authMiddleware, permit('drivers:write'), async (req, res, next) => {
   try {
     const driver = await Driver.findByIdAndDelete(req.params.id);
     if (!driver) return res.status(404).json({ message: 'Driver not found' });
+    await revokeSessions(driver._id, 'account deleted');
+    Object.values(KYC_FILES).forEach((doc) => removeFile(driver.get(`${doc}.file.path`)));
     res.json({ message: 'Driver deleted' });
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
   }
 });
 
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, permit } = require('../middleware/auth');
+const { parseMode, importVehicles, importDrivers, importTrips } = require('../utils/importer');
+const { bindContext } = require('../utils/requestContext');
+
+// CSV arrives as a text/csv body, or as { "csv": "..." } JSON
+const csvBody = bindContext(express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '10mb' }));
+
+function importRoute(importer) {
+  return async (req, res, next) => {
+    try {
+      const mode = parseMode(req.query.mode);
+      const text = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+
+      const report = await importer(text, { mode, user: req.user });
+      res.status(mode === 'commit' && report.imported ? 201 : 200).json(report);
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// POST /api/imports/<kind>?mode=dry-run|commit
+router.post('/vehicles', authMiddleware, permit('imports:run'), csvBody, importRoute(importVehicles));
+router.post('/drivers', authMiddleware, permit('imports:run'), csvBody, importRoute(importDrivers));
+router.post('/trips', authMiddleware, permit('imports:run'), csvBody, importRoute(importTrips));
+
+module.exports = router;
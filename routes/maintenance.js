@@ -3,14 +3,20 @@ const router = express.Router();
 const Maintenance = require('../models/Maintenance');
 const Vehicle = require('../models/Vehicle');
 const Driver = require('../models/Driver');
-const { authMiddleware, adminOnly, driverOnly } = require('../middleware/auth');
+const { authMiddleware, permit } = require('../middleware/auth');
+const { dateRange } = require('../utils/tripHelpers');
+const { assertOdometer } = require('../utils/odometer');
+const { parseFormat, selectColumns, streamExport } = require('../utils/exporter');
+const { maintenanceColumns } = require('../utils/exportColumns');
+const { maintenanceCreateValidators, maintenanceUpdateValidators } = require('../utils/validators');
 
 // 👉 Create Maintenance (Admin + Driver)
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, permit('maintenance:write', 'maintenance:write:own'), maintenanceCreateValidators, async (req, res, next) => {
   try {
     const {
       date,
       maintenanceType,
+      serviceType,
       maintenanceCost,
       vehicleId,
       kmAtMaintenance,
@@ -19,7 +25,9 @@ router.post('/', authMiddleware, async (req, res) => {
       driverId,
       company,
       paymentMode,
-      description
+      description,
+      downtimeStart,
+      downtimeEnd
     } = req.body;
 
     let driver;
@@ -36,9 +44,12 @@ router.post('/', authMiddleware, async (req, res) => {
     const vehicle = await Vehicle.findById(vehicleId);
     if (!vehicle) return res.status(404).json({ message: 'Vehicle not found' });
 
+    await assertOdometer({ vehicleId: vehicle._id, date, start: kmAtMaintenance, end: kmAtMaintenance });
+
     const maintenance = new Maintenance({
         date,
         maintenanceType,
+        serviceType,
         maintenanceCost,
         vehicle: vehicle._id,
         vehicleNumber: vehicle.vehicleNumber, // save vehicle number
@@ -50,18 +61,20 @@ router.post('/', authMiddleware, async (req, res) => {
         driverPhone: driver.phone,           // save driver phone
         company,
         paymentMode,
-        description
+        description,
+        downtimeStart,
+        downtimeEnd
       });      
     await maintenance.save();
 
     res.status(201).json(await maintenance.populate('driver vehicle'));
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
   }
 });
 
 // 👉 Get all maintenances (Admin = all, Driver = only their own)
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, permit('maintenance:read', 'maintenance:read:own'), async (req, res, next) => {
   try {
     let query = {};
     if (req.user.role === 'driver') {
@@ -75,12 +88,38 @@ router.get('/', authMiddleware, async (req, res) => {
 
     res.json(maintenances);
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
+  }
+});
+
+// 👉 Export maintenances as CSV/XLSX (?format=&columns=&from=&to=&vehicleId=&driverId=&maintenanceType=)
+router.get('/export', authMiddleware, permit('maintenance:read', 'maintenance:read:own'), async (req, res, next) => {
+  try {
+    const format = parseFormat(req.query.format);
+    const columns = selectColumns(maintenanceColumns, req.query.columns);
+
+    const { from, to, vehicleId, driverId, maintenanceType } = req.query;
+    const query = {};
+    if (from || to) query.date = dateRange(from, to);
+    if (vehicleId) query.vehicle = vehicleId;
+    if (maintenanceType) query.maintenanceType = maintenanceType;
+    if (req.user.role === 'driver') query.driver = req.user.id;
+    else if (driverId) query.driver = driverId;
+
+    await streamExport(res, {
+      format,
+      filename: 'maintenance',
+      sheetName: 'Maintenance',
+      columns,
+      cursor: Maintenance.find(query).sort({ date: -1 }).cursor(),
+    });
+  } catch (err) {
+    next(err);
   }
 });
 
 // 👉 Get single maintenance
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, permit('maintenance:read', 'maintenance:read:own'), async (req, res, next) => {
   try {
     const maintenance = await Maintenance.findById(req.params.id)
       .populate('driver', 'name phone')
@@ -95,12 +134,12 @@ router.get('/:id', authMiddleware, async (req, res) => {
 
     res.json(maintenance);
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
   }
 });
 
 // 👉 Update maintenance (Admin = any, Driver = only their own)
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, permit('maintenance:write', 'maintenance:write:own'), maintenanceUpdateValidators, async (req, res, next) => {
   try {
     const maintenance = await Maintenance.findById(req.params.id);
     if (!maintenance) return res.status(404).json({ message: 'Maintenance not found' });
@@ -109,18 +148,43 @@ router.put('/:id', authMiddleware, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    Object.assign(maintenance, req.body);
+    // only validated fields reach here; drivers cannot send driverId
+    const { vehicleId, driverId, ...updates } = req.body;
+    if (vehicleId) {
+      const vehicle = await Vehicle.findById(vehicleId);
+      if (!vehicle) return res.status(404).json({ message: 'Vehicle not found' });
+      updates.vehicle = vehicle._id;
+      updates.vehicleNumber = vehicle.vehicleNumber;
+    }
+    if (driverId) {
+      const driver = await Driver.findById(driverId);
+      if (!driver) return res.status(404).json({ message: 'Driver not found' });
+      updates.driver = driver._id;
+      updates.driverName = driver.name;
+      updates.driverPhone = driver.phone;
+    }
+    maintenance.set(updates);
+
+    if (['vehicle', 'date', 'kmAtMaintenance'].some((f) => maintenance.isModified(f))) {
+      await assertOdometer({
+        vehicleId: maintenance.vehicle,
+        date: maintenance.date,
+        start: maintenance.kmAtMaintenance,
+        end: maintenance.kmAtMaintenance,
+        excludeMaintenanceId: maintenance._id,
+      });
+    }
 
     await maintenance.save();
 
     res.json(await maintenance.populate('driver vehicle'));
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
   }
 });
 
 // 👉 Delete maintenance (Admin = any, Driver = only their own)
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, permit('maintenance:write', 'maintenance:write:own'), async (req, res, next) => {
   try {
     const maintenance = await Maintenance.findById(req.params.id);
     if (!maintenance) return res.status(404).json({ message: 'Maintenance not found' });
@@ -133,7 +197,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
 
     res.json({ message: 'Maintenance deleted' });
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
   }
 });
 
@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { authMiddleware, permit } = require('../middleware/auth');
+const { badRequest, dateRange, parsePaging } = require('../utils/tripHelpers');
+const { CHANNELS } = require('../utils/sender');
+const { REDACTED, retryMessage, cancelMessage } = require('../utils/messageQueue');
+
+const MESSAGE_SORT_FIELDS = ['createdAt', 'sentAt', 'nextAttemptAt'];
+
+
+router.use(authMiddleware, permit('messages:manage'));
+
+
+// reset links and invite codes are never shown, even while still queued
+function visibleMessage(message) {
+    const obj = typeof message.toObject === 'function' ? message.toObject() : message;
+    return obj.sensitive ? { ...obj, text: REDACTED } : obj;
+}
+
+
+// Queue and delivery log (?status&channel&trip&event&recipientType&address&from&to)
+router.get('/', async (req, res, next) => {
+    try {
+        const q = req.query;
+        const match = {};
+        if (q.status) {
+            if (!Message.MESSAGE_STATUSES.includes(q.status)) throw badRequest(`status must be one of ${Message.MESSAGE_STATUSES.join(', ')}`);
+            match.status = q.status;
+        }
+        if (q.channel) {
+            if (!CHANNELS.includes(q.channel)) throw badRequest(`channel must be one of ${CHANNELS.join(', ')}`);
+            match.channel = q.channel;
+        }
+        if (q.trip) {
+            if (!mongoose.Types.ObjectId.isValid(q.trip)) throw badRequest('Invalid trip');
+            match.trip = new mongoose.Types.ObjectId(q.trip);
+        }
+        if (q.event) match.event = q.event;
+        if (q.recipientType) match.recipientType = q.recipientType;
+        if (q.address) match.to = q.address;
+        if (q.from || q.to) match.createdAt = dateRange(q.from, q.to);
+
+        const { page, limit, skip, sort } = parsePaging(q, { sortFields: MESSAGE_SORT_FIELDS });
+        const [rows, total] = await Promise.all([
+            Message.find(match).sort(sort).skip(skip).limit(limit).lean(),
+            Message.countDocuments(match)
+        ]);
+        res.json({ total, page, limit, pages: Math.ceil(total / limit), rows: rows.map(visibleMessage) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+router.get('/:id', async (req, res, next) => {
+    try {
+        const message = await Message.findById(req.params.id).lean();
+        if (!message) return res.status(404).json({ message: 'Message not found' });
+        res.json(visibleMessage(message));
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// Send a failed or cancelled message again
+router.post('/:id/retry', async (req, res, next) => {
+    try {
+        res.json(visibleMessage(await retryMessage(req.params.id)));
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// Stop a queued message
+router.post('/:id/cancel', async (req, res, next) => {
+    try {
+        res.json(visibleMessage(await cancelMessage(req.params.id)));
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+module.exports = router;
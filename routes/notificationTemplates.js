@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const Trip = require('../models/trips');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const { authMiddleware, permit } = require('../middleware/auth');
+const { notificationTemplateValidators, templatePreviewValidators } = require('../utils/validators');
+const { defaultTemplate } = require('../utils/templateDefaults');
+const { httpError } = require('../utils/errors');
+const {
+    TEMPLATE_EVENTS, LANGUAGES, DEFAULT_LANGUAGE, PLACEHOLDERS, FORMATTERS,
+    getTemplate, tripContext, sampleContext, renderMessage
+} = require('../utils/templates');
+
+
+router.use(authMiddleware, permit('templates:manage'));
+
+
+// event + language from the URL, 404 for anything we have no template slot for
+function templateSlot(req) {
+    const { event, language } = req.params;
+    if (!TEMPLATE_EVENTS.includes(event) || !LANGUAGES.includes(language)) {
+        throw httpError(404, 'Template not found', 'TEMPLATE_NOT_FOUND');
+    }
+    return { event, language };
+}
+
+
+// Current template for every event and language
+router.get('/', async (req, res, next) => {
+    try {
+        const slots = TEMPLATE_EVENTS.flatMap((event) => LANGUAGES.map((language) => [event, language]));
+        const templates = await Promise.all(slots.map(([event, language]) => getTemplate(event, language)));
+        res.json({ events: TEMPLATE_EVENTS, languages: LANGUAGES, defaultLanguage: DEFAULT_LANGUAGE, templates });
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// What templates can use
+router.get('/placeholders', (req, res) => {
+    res.json({ placeholders: PLACEHOLDERS, formatters: Object.keys(FORMATTERS) });
+});
+
+
+// Render a template against a trip, or a sample trip when no tripId is given.
+// subject/body preview unsaved edits instead of the current template.
+router.post('/preview', templatePreviewValidators, async (req, res, next) => {
+    try {
+        const { event, language = DEFAULT_LANGUAGE, tripId, subject, body } = req.body;
+
+        let context;
+        if (tripId) {
+            const trip = await Trip.findById(tripId);
+            if (!trip) return res.status(404).json({ message: 'Trip not found' });
+            context = await tripContext(trip);
+        } else {
+            context = sampleContext();
+        }
+
+        const current = await getTemplate(event, language);
+        const template = {
+            ...current,
+            subject: subject !== undefined ? subject : current.subject,
+            body: body !== undefined && body !== null && body !== '' ? body : current.body
+        };
+        res.json({ ...renderMessage(template, context), sample: !tripId });
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// One template, with the built-in wording for comparison
+router.get('/:event/:language', async (req, res, next) => {
+    try {
+        const { event, language } = templateSlot(req);
+        const [template, saved] = await Promise.all([
+            getTemplate(event, language),
+            NotificationTemplate.findOne({ event, language }).lean()
+        ]);
+        res.json({ ...template, saved, default: defaultTemplate(event, language) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// Save the wording for an event and language
+router.put('/:event/:language', notificationTemplateValidators, async (req, res, next) => {
+    try {
+        const { event, language } = templateSlot(req);
+        const template = await NotificationTemplate.findOne({ event, language }) || new NotificationTemplate({ event, language });
+        template.set({ ...req.body, updatedBy: req.user.id });
+        await template.save();
+        res.json(template);
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// Go back to the built-in wording
+router.delete('/:event/:language', async (req, res, next) => {
+    try {
+        const { event, language } = templateSlot(req);
+        const template = await NotificationTemplate.findOne({ event, language });
+        if (template) await template.deleteOne();
+        res.json({ message: 'Template reset to default', template: await getTemplate(event, language) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const Vehicle = require('../models/Vehicle');
+const ServiceSchedule = require('../models/ServiceSchedule');
+const { authMiddleware, permit } = require('../middleware/auth');
+const { DEFAULT_INTERVALS, computeServiceStatus } = require('../utils/serviceReminders');
+const { serviceScheduleValidators } = require('../utils/validators');
+
+const STATUSES = ['ok', 'due', 'overdue', 'no_record'];
+
+// Dashboard: services due or overdue (?status=due,overdue&vehicleId=)
+router.get('/due', authMiddleware, permit('vehicles:read'), async (req, res, next) => {
+  try {
+    const statuses = String(req.query.status || 'due,overdue').split(',').map((s) => s.trim()).filter(Boolean);
+    const unknown = statuses.filter((s) => !STATUSES.includes(s));
+    if (unknown.length) return res.status(400).json({ message: `Unknown status: ${unknown.join(', ')}` });
+
+    const rows = await computeServiceStatus({ vehicleIds: req.query.vehicleId ? [req.query.vehicleId] : undefined });
+    const summary = STATUSES.reduce((o, s) => ({ ...o, [s]: rows.filter((r) => r.status === s).length }), {});
+
+    res.json({
+      summary,
+      rows: rows
+        .filter((r) => statuses.includes(r.status))
+        .sort((a, b) => (a.status === b.status ? (a.kmRemaining ?? Infinity) - (b.kmRemaining ?? Infinity) : a.status === 'overdue' ? -1 : 1)),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// All service types for one vehicle, with its schedule overrides
+router.get('/vehicles/:vehicleId', authMiddleware, permit('vehicles:read'), async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.vehicleId);
+    if (!vehicle) return res.status(404).json({ message: 'Vehicle not found' });
+
+    const [services, schedules] = await Promise.all([
+      computeServiceStatus({ vehicleIds: [vehicle._id] }),
+      ServiceSchedule.find({ vehicle: vehicle._id }),
+    ]);
+    res.json({ vehicle, defaults: DEFAULT_INTERVALS, schedules, services });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Set the interval for one service type on a vehicle
+router.put('/vehicles/:vehicleId/:serviceType', authMiddleware, permit('vehicles:write'), serviceScheduleValidators, async (req, res, next) => {
+  try {
+    const { serviceType } = req.params;
+    if (!ServiceSchedule.SERVICE_TYPES.includes(serviceType)) {
+      return res.status(400).json({ message: `serviceType must be one of ${ServiceSchedule.SERVICE_TYPES.join(', ')}` });
+    }
+    const vehicle = await Vehicle.findById(req.params.vehicleId);
+    if (!vehicle) return res.status(404).json({ message: 'Vehicle not found' });
+
+    const { intervalKm, intervalDays, isActive, notes } = req.body;
+    const update = {};
+    if (intervalKm !== undefined) update.intervalKm = intervalKm;
+    if (intervalDays !== undefined) update.intervalDays = intervalDays;
+    if (isActive !== undefined) update.isActive = isActive;
+    if (notes !== undefined) update.notes = notes;
+
+    const schedule = await ServiceSchedule.findOneAndUpdate(
+      { vehicle: vehicle._id, serviceType },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    res.json(schedule);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Drop the override and go back to the default interval
+router.delete('/vehicles/:vehicleId/:serviceType', authMiddleware, permit('vehicles:write'), async (req, res, next) => {
+  try {
+    const schedule = await ServiceSchedule.findOneAndDelete({ vehicle: req.params.vehicleId, serviceType: req.params.serviceType });
+    if (!schedule) return res.status(404).json({ message: 'Schedule not found' });
+    res.json({ message: 'Schedule removed' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
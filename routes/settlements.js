@@ -0,0 +1,232 @@
+const express = require('express');
+const router = express.Router();
+const Driver = require('../models/Driver');
+const DriverAdvance = require('../models/DriverAdvance');
+const DriverSettlement = require('../models/DriverSettlement');
+const { PAYMENT_MODES } = require('../models/trips');
+const { authMiddleware, permit } = require('../middleware/auth');
+const { badRequest, parsePaging } = require('../utils/tripHelpers');
+const { buildStatement } = require('../utils/settlements');
+const { advanceValidators, settlementCreateValidators, settlementUpdateValidators } = require('../utils/validators');
+
+const SETTLEMENT_SORT_FIELDS = ['periodStart', 'periodEnd', 'createdAt', 'lockedAt', 'driverName'];
+
+function parseAdjustments(value) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) throw badRequest('adjustments must be an array');
+  return value.map((a) => {
+    const amount = Number(a && a.amount);
+    if (!a || !DriverSettlement.ADJUSTMENT_TYPES.includes(a.type)) {
+      throw badRequest(`adjustment type must be one of ${DriverSettlement.ADJUSTMENT_TYPES.join(', ')}`);
+    }
+    if (!a.label) throw badRequest('adjustment label is required');
+    if (!Number.isFinite(amount) || amount < 0) throw badRequest('adjustment amount must be a non-negative number');
+    return { type: a.type, label: String(a.label), amount };
+  });
+}
+
+/** Fresh statement for a settlement's driver and period */
+function recalculate(settlement, adjustments) {
+  return buildStatement(settlement.driver, {
+    from: settlement.periodStart.toISOString(),
+    to: settlement.periodEnd.toISOString(),
+    adjustments,
+  });
+}
+
+/** True when trips, advances or totals no longer match what was stored */
+function statementChanged(settlement, statement) {
+  const ids = (list) => list.map(String).sort().join(',');
+  if (ids(settlement.trips.map((t) => t.trip)) !== ids(statement.trips.map((t) => t.trip))) return true;
+  if (ids(settlement.advances) !== ids(statement.advances)) return true;
+  return Object.keys(statement.totals).some((key) => statement.totals[key] !== settlement.totals[key]);
+}
+
+function locked(res) {
+  return res.status(409).json({ message: 'Settlement is locked', code: 'SETTLEMENT_LOCKED' });
+}
+
+// Figures for a driver and period without saving anything
+router.get('/preview', authMiddleware, permit('settlements:manage'), async (req, res, next) => {
+  try {
+    if (!req.query.driverId) return res.status(400).json({ message: 'driverId is required' });
+    const statement = await buildStatement(req.query.driverId, { from: req.query.from, to: req.query.to });
+    res.json(statement);
+  } catch (err) {
+    next(err);
+  }
+});
+
+
+// ADVANCES
+router.get('/advances', authMiddleware, permit('settlements:manage'), async (req, res, next) => {
+  try {
+    const match = {};
+    if (req.query.driverId) match.driver = req.query.driverId;
+    if (req.query.unsettled === 'true') match.settlement = null;
+    const advances = await DriverAdvance.find(match).populate('driver', 'name phone').sort({ date: -1 });
+    res.json(advances);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/advances', authMiddleware, permit('settlements:manage'), advanceValidators, async (req, res, next) => {
+  try {
+    const { driverId, amount, date, mode, note } = req.body;
+    const driver = driverId ? await Driver.findById(driverId).select('_id') : null;
+    if (!driver) return res.status(400).json({ message: 'Valid driverId is required' });
+
+    const advance = new DriverAdvance({ driver: driver._id, amount, date, mode, note, givenBy: req.user.id });
+    await advance.save();
+    res.status(201).json(advance);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/advances/:id', authMiddleware, permit('settlements:manage'), async (req, res, next) => {
+  try {
+    const advance = await DriverAdvance.findById(req.params.id);
+    if (!advance) return res.status(404).json({ message: 'Advance not found' });
+    if (advance.settlement) return res.status(409).json({ message: 'Advance was already deducted in a settlement' });
+    await advance.deleteOne();
+    res.json({ message: 'Advance deleted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+
+// SETTLEMENTS
+router.get('/', authMiddleware, permit('settlements:manage'), async (req, res, next) => {
+  try {
+    const match = {};
+    if (req.query.driverId) match.driver = req.query.driverId;
+    if (req.query.status) match.status = req.query.status;
+    const { page, limit, skip, sort } = parsePaging(req.query, { sortFields: SETTLEMENT_SORT_FIELDS, defaultSort: '-periodStart' });
+
+    const [rows, total] = await Promise.all([
+      DriverSettlement.find(match).select('-trips').sort(sort).skip(skip).limit(limit),
+      DriverSettlement.countDocuments(match),
+    ]);
+    res.json({ total, page, limit, pages: Math.ceil(total / limit), rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Save a draft settlement for { driverId, from, to, adjustments, notes }
+router.post('/', authMiddleware, permit('settlements:manage'), settlementCreateValidators, async (req, res, next) => {
+  try {
+    const { driverId, from, to, notes } = req.body;
+    if (!driverId) return res.status(400).json({ message: 'driverId is required' });
+    const statement = await buildStatement(driverId, { from, to, adjustments: parseAdjustments(req.body.adjustments) });
+
+    const overlapping = await DriverSettlement.findOne({
+      driver: statement.driver,
+      periodStart: { $lte: statement.periodEnd },
+      periodEnd: { $gte: statement.periodStart },
+    }).select('periodStart periodEnd status');
+    if (overlapping) {
+      return res.status(409).json({ message: 'Period overlaps an existing settlement for this driver', code: 'SETTLEMENT_OVERLAP', settlement: overlapping });
+    }
+
+    const settlement = new DriverSettlement({ ...statement, notes, createdBy: req.user.id });
+    await settlement.save();
+    res.status(201).json(settlement);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:id', authMiddleware, permit('settlements:manage'), async (req, res, next) => {
+  try {
+    const settlement = await DriverSettlement.findById(req.params.id).populate('advances');
+    if (!settlement) return res.status(404).json({ message: 'Settlement not found' });
+    res.json(settlement);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Recalculate a draft, optionally with new adjustments / notes
+router.put('/:id', authMiddleware, permit('settlements:manage'), settlementUpdateValidators, async (req, res, next) => {
+  try {
+    const settlement = await DriverSettlement.findById(req.params.id);
+    if (!settlement) return res.status(404).json({ message: 'Settlement not found' });
+    if (settlement.status === 'locked') return locked(res);
+
+    const adjustments = req.body.adjustments !== undefined
+      ? parseAdjustments(req.body.adjustments)
+      : settlement.adjustments.map((a) => a.toObject());
+    const statement = await recalculate(settlement, adjustments);
+
+    settlement.set({ ...statement, notes: req.body.notes !== undefined ? req.body.notes : settlement.notes });
+    await settlement.save();
+    res.json(settlement);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Mark as paid and freeze the figures
+router.post('/:id/lock', authMiddleware, permit('settlements:manage'), async (req, res, next) => {
+  try {
+    const settlement = await DriverSettlement.findById(req.params.id);
+    if (!settlement) return res.status(404).json({ message: 'Settlement not found' });
+    if (settlement.status === 'locked') return locked(res);
+
+    const { paidAt, paymentMode, paymentReference } = req.body;
+    if (paymentMode !== undefined && !PAYMENT_MODES.includes(paymentMode)) {
+      return res.status(400).json({ message: `paymentMode must be one of ${PAYMENT_MODES.join(', ')}` });
+    }
+
+    // trips or advances may have changed since the draft was calculated
+    const statement = await recalculate(settlement, settlement.adjustments.map((a) => a.toObject()));
+    if (statementChanged(settlement, statement)) {
+      return res.status(409).json({
+        message: 'Figures changed since this settlement was calculated; recalculate it first',
+        code: 'SETTLEMENT_STALE',
+        totals: statement.totals,
+      });
+    }
+
+    // claim the advances; another settlement may have deducted them meanwhile
+    const claimed = await DriverAdvance.updateMany(
+      { _id: { $in: settlement.advances }, settlement: null },
+      { $set: { settlement: settlement._id } }
+    );
+    if (claimed.modifiedCount !== settlement.advances.length) {
+      await DriverAdvance.updateMany({ _id: { $in: settlement.advances }, settlement: settlement._id }, { $set: { settlement: null } });
+      return res.status(409).json({ message: 'Advances changed since this settlement was calculated; recalculate it first', code: 'SETTLEMENT_STALE' });
+    }
+
+    settlement.set({
+      status: 'locked',
+      paidAt: paidAt || new Date(),
+      paymentMode,
+      paymentReference,
+      lockedAt: new Date(),
+      lockedBy: req.user.id,
+    });
+    await settlement.save();
+    res.json({ message: 'Settlement locked', settlement });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/:id', authMiddleware, permit('settlements:manage'), async (req, res, next) => {
+  try {
+    const settlement = await DriverSettlement.findById(req.params.id);
+    if (!settlement) return res.status(404).json({ message: 'Settlement not found' });
+    if (settlement.status === 'locked') return locked(res);
+    await settlement.deleteOne();
+    res.json({ message: 'Settlement deleted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
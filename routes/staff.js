@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const Driver = require('../models/Driver');
+const AdminInvite = require('../models/AdminInvite');
+const { authMiddleware, permit } = require('../middleware/auth');
+const { inviteValidators, staffUpdateValidators } = require('../utils/validators');
+const { createInvite } = require('../utils/invites');
+const { revokeSessions } = require('../utils/sessions');
+
+
+router.use(authMiddleware, permit('staff:manage'));
+
+
+// List staff accounts
+router.get('/', async (req, res, next) => {
+    try {
+        const staff = await Admin.find().select('-password').sort({ createdAt: 1 });
+        res.json(staff);
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// Invite someone to create a staff account
+router.post('/invites', inviteValidators, async (req, res, next) => {
+    try {
+        const { email, name, role } = req.body;
+        if (role === 'owner' && req.user.accessRole !== 'owner') {
+            return res.status(403).json({ message: 'Only an owner can invite another owner' });
+        }
+        const address = String(email).toLowerCase().trim();
+        if (await Admin.exists({ email: address }) || await Driver.exists({ email: address })) {
+            return res.status(409).json({ message: 'An account with this email already exists' });
+        }
+
+        const invite = await createInvite({ email: address, name, role }, req.user.id);
+        res.status(201).json(invite);
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// Invites, newest first; ?status=pending|accepted|revoked|expired
+router.get('/invites', async (req, res, next) => {
+    try {
+        const now = new Date();
+        const filters = {
+            pending: { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+            accepted: { acceptedAt: { $ne: null } },
+            revoked: { acceptedAt: null, revokedAt: { $ne: null } },
+            expired: { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } },
+        };
+        const { status } = req.query;
+        if (status && !filters[status]) {
+            return res.status(400).json({ message: `status must be one of ${Object.keys(filters).join(', ')}` });
+        }
+
+        const invites = await AdminInvite.find(status ? filters[status] : {})
+            .populate('invitedBy', 'name email')
+            .sort({ createdAt: -1 });
+        res.json(invites);
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// Revoke a pending invite
+router.delete('/invites/:id', async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid invite id' });
+        const invite = await AdminInvite.findById(req.params.id);
+        if (!invite) return res.status(404).json({ message: 'Invite not found' });
+        if (invite.status !== 'pending') return res.status(400).json({ message: `Invite is already ${invite.status}` });
+
+        invite.revokedAt = new Date();
+        await invite.save();
+        res.json({ message: 'Invite revoked', invite });
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// Change a staff member's role or deactivate / reactivate them
+router.put('/:id', staffUpdateValidators, async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid staff id' });
+        if (String(req.params.id) === String(req.user.id)) {
+            return res.status(400).json({ message: 'You cannot change your own role or status' });
+        }
+
+        const { role, isActive } = req.body;
+
+        const admin = await Admin.findById(req.params.id);
+        if (!admin) return res.status(404).json({ message: 'Staff member not found' });
+
+        const isOwner = (admin.role || 'admin') === 'owner';
+        if ((isOwner || role === 'owner') && req.user.accessRole !== 'owner') {
+            return res.status(403).json({ message: 'Only an owner can change owner accounts' });
+        }
+
+        // always keep at least one active owner
+        const losesOwner = isOwner && admin.isActive !== false && ((role && role !== 'owner') || isActive === false);
+        if (losesOwner) {
+            const owners = await Admin.countDocuments({ role: 'owner', isActive: { $ne: false }, _id: { $ne: admin._id } });
+            if (!owners) return res.status(409).json({ message: 'There must be at least one active owner' });
+        }
+
+        const wasActive = admin.isActive !== false;
+        if (role !== undefined) admin.role = role;
+        if (isActive !== undefined) admin.isActive = isActive;
+        await admin.save();
+
+        if (wasActive && admin.isActive === false) await revokeSessions(admin._id, 'account deactivated');
+
+        const result = admin.toObject();
+        delete result.password;
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+module.exports = router;
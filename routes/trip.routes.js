@@ -4,14 +4,46 @@ const mongoose = require('mongoose');
 const Trip = require('../models/trips');
 const Driver = require('../models/Driver');
 const Vehicle = require('../models/Vehicle');
-const { authMiddleware, adminOnly } = require('../middleware/auth');
-const { buildMatch, attachRefs } = require('../utils/tripHelpers');
+const Message = require('../models/Message');
+const { authMiddleware, permit } = require('../middleware/auth');
+const { can, visibleTrip } = require('../utils/permissions');
+const { buildMatch, parsePaging, attachRefs, linkCustomer } = require('../utils/tripHelpers');
+const { buildStatsReport } = require('../utils/tripStats');
+const { INITIAL_STATUSES, STATUS_TIMESTAMPS, LIFECYCLE_FIELDS } = require('../utils/tripStatus');
+const { OVERRIDE_FIELDS, assertNoConflicts } = require('../utils/tripConflicts');
+const { PAYMENT_FIELDS, buildReceivables } = require('../utils/tripPayments');
+const { renderInvoice, renderDutySlip } = require('../utils/tripDocuments');
+const { parseFormat, selectColumns, streamExport } = require('../utils/exporter');
+const { tripColumns } = require('../utils/exportColumns');
+const { parseLegacyFuel, buildFuelEfficiency } = require('../utils/fuelLog');
+const { assertOdometer } = require('../utils/odometer');
+const { serviceWarnings } = require('../utils/serviceReminders');
+const { assertCompliance } = require('../utils/tripCompliance');
+const { TEMPLATE_EVENTS, LANGUAGES, languageFor, renderForTrip } = require('../utils/templates');
+const { recipientOf, queueTripMessage, queueAutoMessages } = require('../utils/tripMessages');
+const { whatsappUrl } = require('../utils/whatsapp');
+const { SETTLEMENT_FIELDS, collectedByDriver, tripDate, assertTripNotSettled, assertPeriodOpen } = require('../utils/settlements');
+const {
+  tripCreateValidators,
+  tripUpdateValidators,
+  paymentValidators,
+  fuelEntryValidators,
+  tripMessageValidators,
+} = require('../utils/validators');
 
 
 // CREATE trip (admin or driver)
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, permit('trips:write', 'trips:write:own'), tripCreateValidators, async (req, res, next) => {
   try {
     let data = { ...req.body };
+    const requestedStatus = data.status;
+    LIFECYCLE_FIELDS.forEach((field) => delete data[field]);
+    OVERRIDE_FIELDS.forEach((field) => delete data[field]);
+    PAYMENT_FIELDS.forEach((field) => delete data[field]);
+    // older clients still send fuel as text ("Petrol: 120, CNG: 80")
+    if (data.fuelAmount !== undefined && data.fuelEntries === undefined) {
+      data.fuelEntries = parseLegacyFuel(data.fuelAmount, data.fuelType);
+    }
 
     // Always set createdBy
     data.createdByRole = req.user.role;
@@ -34,117 +66,136 @@ router.post('/', authMiddleware, async (req, res) => {
         });
       }
     }
-    
+
+    data = await linkCustomer(data);
+
+    // Initial status: as requested, else "assigned" once driver + vehicle are known
+    let status = data.driverId && data.vehicleId ? 'assigned' : 'enquiry';
+    if (requestedStatus !== undefined) {
+      if (!INITIAL_STATUSES.includes(requestedStatus)) {
+        return res.status(400).json({ message: `status must be one of ${INITIAL_STATUSES.join(', ')}` });
+      }
+      if (requestedStatus === 'assigned' && !(data.driverId && data.vehicleId)) {
+        return res.status(400).json({ message: 'driverId and vehicleId are required for an assigned trip' });
+      }
+      status = requestedStatus;
+    }
+    const now = new Date();
+    data.status = status;
+    if (STATUS_TIMESTAMPS[status]) data[STATUS_TIMESTAMPS[status]] = now;
+    data.statusHistory = [{ to: status, at: now, by: req.user.id, byRole: req.user.role }];
+
+    const override = await assertNoConflicts(data, req);
+    if (override) data.conflictOverrides = [override];
+
+    const compliance = await assertCompliance(data, req);
+    if (compliance.override) data.complianceOverrides = [compliance.override];
+
+    await assertOdometer({
+      vehicleId: data.vehicleId,
+      date: data.startDate,
+      start: data.startingReading,
+      end: data.endingReading,
+    });
 
     const trip = new Trip(data);
     await trip.save();
-    res.status(201).json(trip);
+
+    const warnings = [...compliance.warnings, ...await serviceWarnings(trip.vehicleId)];
+    const messages = await queueAutoMessages(trip, trip.status, req.user);
+    res.status(201).json({ ...visibleTrip(req.user, trip), warnings, messages });
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    next(err);
   }
 });
 
 
-// LIST trips for driver only
-router.get('/', authMiddleware, async (req, res) => {
+// LIST trips (admin = all, driver = only their own)
+router.get('/', authMiddleware, permit('trips:read', 'trips:read:own'), async (req, res, next) => {
   try {
-    const sort = req.query.sort || '-createdAt';
-    let match = { isDriverDeleted: { $ne: true } }; // exclude soft-deleted trips
+    const match = buildMatch(req);
+    const { page, limit, skip, sort } = parsePaging(req.query);
 
-    // If user is driver, show only their trips
-    if (req.user.role === 'driver') {
-      match.driverId = new mongoose.Types.ObjectId(req.user.id);
-    }
-
-    const rows = await Trip.find(match).sort(sort);
-    const total = rows.length;
+    const [rows, total] = await Promise.all([
+      Trip.find(match).sort(sort).skip(skip).limit(limit),
+      Trip.countDocuments(match),
+    ]);
 
-    res.json({ total, page: 1, limit: total, rows });
+    res.json({ total, page, limit, pages: Math.ceil(total / limit), rows: visibleTrip(req.user, rows) });
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
   }
 });
 
 
-// GET /trips/stats
-router.get('/stats', authMiddleware, async (req, res) => {
+// EXPORT trips as CSV/XLSX (?format=csv|xlsx&columns=a,b,c + list filters)
+router.get('/export', authMiddleware, permit('reports:read', 'reports:read:own'), async (req, res, next) => {
   try {
-    const match = { isDriverDeleted: { $ne: true } };
-
-    if (req.user.role === 'driver') {
-      match.driverId = new mongoose.Types.ObjectId(req.user.id);
-    }
-
-    // Fetch trips
-    const trips = await Trip.find(match);
+    const format = parseFormat(req.query.format);
+    const columns = selectColumns(tripColumns, req.query.columns);
+    const match = buildMatch(req);
+    const { sort } = parsePaging({ sort: req.query.sort });
+
+    await streamExport(res, {
+      format,
+      filename: 'trips',
+      sheetName: 'Trips',
+      columns,
+      cursor: Trip.find(match).sort(sort).cursor(),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Fetch maintenance linked to driver (if role=driver)
-    let maintenanceMatch = {};
-    if (req.user.role === 'driver') {
-      maintenanceMatch.driver = new mongoose.Types.ObjectId(req.user.id);
-    }
-    const maintenances = await mongoose.model("Maintenance").find(maintenanceMatch);
-
-    // Fetch ads (right now, assuming ads are company-wide, not per driver)
-    const ads = await mongoose.model("Ad").find({});
-
-    // Aggregate totals
-    let totalTrips = trips.length;
-    let totalTripAmount = 0;
-    let totalExpenses = 0;
-    let totalProfit = 0;
-
-    trips.forEach(trip => {
-      const tripAmt = Number(trip.tripAmount || 0);
-
-      // Fuel
-      let fuel = 0;
-      if (trip.fuelAmount) {
-        if (!isNaN(Number(trip.fuelAmount))) {
-          fuel = Number(trip.fuelAmount);
-        } else {
-          const matches = trip.fuelAmount.match(/\d+/g);
-          if (matches) fuel = matches.map(Number).reduce((a,b)=>a+b,0);
-        }
-      }
 
-      const expenses = fuel + Number(trip.tolls || 0) + Number(trip.parkingCharges || 0) + Number(trip.driverBeta || 0);
-      const profit = tripAmt - expenses;
+// GET /trips/stats?groupBy=day|week|month|driver|vehicle (+ buildMatch filters)
+router.get('/stats', authMiddleware, permit('reports:read', 'reports:read:own'), async (req, res, next) => {
+  try {
+    const report = await buildStatsReport(req);
+    const { totals } = report;
 
-      totalTripAmount += tripAmt;
-      totalExpenses += expenses;
-      totalProfit += profit;
+    res.json({
+      // flat totals kept for existing dashboards
+      totalTrips: totals.trips,
+      totalTripAmount: totals.revenue,
+      totalExpenses: totals.tripExpenses + totals.maintenance + totals.adSpend,
+      totalMaintenance: totals.maintenance,
+      totalAds: totals.adSpend,
+      totalProfit: totals.profit,
+      ...report,
     });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Add maintenance expenses
-    const totalMaintenance = maintenances.reduce((sum, m) => sum + Number(m.maintenanceCost || 0), 0);
-    totalExpenses += totalMaintenance;
 
-    // Add ad expenses
-    const totalAds = ads.reduce((sum, ad) => sum + Number(ad.amount || 0), 0);
-    totalExpenses += totalAds;
+// GET /trips/receivables?minDays= - outstanding balances by customer and age
+router.get('/receivables', authMiddleware, permit('payments:read'), async (req, res, next) => {
+  try {
+    const minDays = req.query.minDays === undefined ? 0 : Number(req.query.minDays);
+    if (!Number.isFinite(minDays) || minDays < 0) return res.status(400).json({ message: 'minDays must be a non-negative number' });
 
-    // Recalculate profit
-    totalProfit = totalTripAmount - totalExpenses;
+    res.json(await buildReceivables({ minDays }));
+  } catch (err) {
+    next(err);
+  }
+});
 
-    res.json({
-      totalTrips,
-      totalTripAmount,
-      totalExpenses,
-      totalMaintenance,
-      totalAds,
-      totalProfit
-    });
 
+// GET /trips/fuel-efficiency - km per litre (per kg for CNG) by vehicle and fuel type (+ list filters)
+router.get('/fuel-efficiency', authMiddleware, permit('reports:read', 'reports:read:own'), async (req, res, next) => {
+  try {
+    res.json(await buildFuelEfficiency(req));
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
   }
 });
 
 
 // GET single
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, permit('trips:read', 'trips:read:own'), async (req, res, next) => {
   try {
     const trip = await Trip.findById(req.params.id);
     if (!trip) return res.status(404).json({ message: 'Trip not found' });
@@ -156,14 +207,14 @@ router.get('/:id', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Trip not found' });
     }
 
-    res.json(trip);
+    res.json(visibleTrip(req.user, trip));
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
   }
 });
 
 // UPDATE
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, permit('trips:write', 'trips:write:own'), tripUpdateValidators, async (req, res, next) => {
   try {
     const trip = await Trip.findById(req.params.id);
     if (!trip) return res.status(404).json({ message: 'Trip not found' });
@@ -176,31 +227,79 @@ router.put('/:id', authMiddleware, async (req, res) => {
     if (updates.driverId || updates.vehicleId) {
       updates = await attachRefs(updates);
     }
+    if (updates.customerId || updates.customerNumber) {
+      updates = await linkCustomer(updates);
+    }
 
-    if (req.user.role === 'driver') {
-      delete updates.isDriverDeleted;
-      delete updates.driverDeletedAt;
-      delete updates.driverDeletedBy;
-      delete updates.createdBy;
-      delete updates.createdByRole;
+    LIFECYCLE_FIELDS.forEach((field) => delete updates[field]);
+    OVERRIDE_FIELDS.forEach((field) => delete updates[field]);
+    PAYMENT_FIELDS.forEach((field) => delete updates[field]);
+    if (updates.fuelAmount !== undefined && updates.fuelEntries === undefined) {
+      if (trip.fuelEntries.length) {
+        // the total comes from the logged entries; only an unchanged echo of it is accepted
+        if (Number(updates.fuelAmount) !== Number(trip.fuelAmount)) {
+          return res.status(400).json({
+            message: 'This trip has fuel entries; change them through /fuel instead of fuelAmount',
+            code: 'FUEL_ENTRIES_EXIST',
+          });
+        }
+        delete updates.fuelAmount;
+      } else {
+        updates.fuelEntries = parseLegacyFuel(updates.fuelAmount, updates.fuelType || trip.fuelType);
+      }
     }
 
     Object.assign(trip, updates);
+
+    if (SETTLEMENT_FIELDS.some((f) => trip.isModified(f))) await assertTripNotSettled(trip);
+
+    if (['driverId', 'vehicleId', 'startDate', 'endDate'].some((f) => trip.isModified(f))) {
+      const override = await assertNoConflicts({
+        driverId: trip.driverId,
+        vehicleId: trip.vehicleId,
+        startDate: trip.startDate,
+        endDate: trip.endDate,
+        excludeId: trip._id,
+      }, req);
+      if (override) trip.conflictOverrides.push(override);
+    }
+
+    const warnings = [];
+    if (['driverId', 'vehicleId', 'startDate', 'endDate'].some((f) => trip.isModified(f))) {
+      const compliance = await assertCompliance(trip, req);
+      if (compliance.override) trip.complianceOverrides.push(compliance.override);
+      warnings.push(...compliance.warnings);
+    }
+
+    if (['vehicleId', 'startDate', 'startingReading', 'endingReading'].some((f) => trip.isModified(f))) {
+      await assertOdometer({
+        vehicleId: trip.vehicleId,
+        date: trip.startDate || trip.createdAt,
+        start: trip.startingReading,
+        end: trip.endingReading,
+        excludeTripId: trip._id,
+      });
+    }
+
+    const vehicleChanged = trip.isModified('vehicleId');
     await trip.save();
-    res.json(trip);
+
+    if (vehicleChanged) warnings.push(...await serviceWarnings(trip.vehicleId));
+    res.json({ ...visibleTrip(req.user, trip), warnings });
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    next(err);
   }
 });
 
 // DELETE
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, permit('trips:delete', 'trips:delete:own'), async (req, res, next) => {
   try {
     const trip = await Trip.findById(req.params.id);
     if (!trip) return res.status(404).json({ message: 'Trip not found' });
 
     if (req.user.role === 'driver') {
       if (String(trip.driverId) !== String(req.user.id)) return res.status(403).json({ message: 'Forbidden' });
+      await assertTripNotSettled(trip);
 
       if (!trip.isDriverDeleted) {
         trip.isDriverDeleted = true;
@@ -208,9 +307,10 @@ router.delete('/:id', authMiddleware, async (req, res) => {
         trip.driverDeletedBy = req.user.id;
         await trip.save();
       }
-      return res.json({ message: 'Trip marked deleted by driver', trip });
+      return res.json({ message: 'Trip marked deleted by driver', trip: visibleTrip(req.user, trip) });
     }
 
+    await assertTripNotSettled(trip);
     const hard = req.query.hard === 'true';
     if (hard) {
       await Trip.findByIdAndDelete(trip._id);
@@ -221,18 +321,301 @@ router.delete('/:id', authMiddleware, async (req, res) => {
         trip.driverDeletedAt = new Date();
       }
       await trip.save();
-      return res.json({ message: 'Trip soft-deleted by admin', trip });
+      return res.json({ message: 'Trip soft-deleted by admin', trip: visibleTrip(req.user, trip) });
     }
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
   }
 });
 
 
+// STATUS CHANGES
+// Load the trip, check access, let `apply` validate/set fields (and add
+// warnings), then transition.
+function statusRoute(status, { permissions = ['trips:write', 'trips:write:own'], apply } = {}) {
+  return async (req, res, next) => {
+    try {
+      if (!can(req.user, ...permissions)) return res.status(403).json({ message: 'Not allowed', code: 'PERMISSION_DENIED', required: permissions });
+
+      const trip = await Trip.findById(req.params.id);
+      if (!trip) return res.status(404).json({ message: 'Trip not found' });
+      if (req.user.role === 'driver' && String(trip.driverId) !== String(req.user.id)) {
+        return res.status(403).json({ message: 'Forbidden' });
+      }
+
+      const warnings = [];
+      if (apply) {
+        const error = await apply(trip, req.body || {}, warnings, req);
+        if (error) return res.status(400).json({ message: error });
+      }
+
+      trip.transitionTo(status, { by: req.user.id, byRole: req.user.role, note: req.body && req.body.note });
+      // status feeds settlements: a settled trip stays as it was paid, and
+      // a trip can't be completed into a period that is already paid
+      await assertTripNotSettled(trip);
+      if (status === 'completed') await assertPeriodOpen(trip.driverId, tripDate(trip));
+      await trip.save();
+      const messages = await queueAutoMessages(trip, status, req.user);
+      res.json({ message: `Trip ${status}`, trip: visibleTrip(req.user, trip), warnings, messages });
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+function readingFrom(body, field) {
+  if (body[field] === undefined || body[field] === '') return null;
+  const n = Number(body[field]);
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+}
+
+router.post('/:id/confirm', authMiddleware, statusRoute('confirmed', { permissions: ['trips:assign'] }));
+
+router.post('/:id/assign', authMiddleware, statusRoute('assigned', {
+  permissions: ['trips:assign'],
+  apply: async (trip, body, warnings, req) => {
+    const refs = await attachRefs({
+      driverId: body.driverId || trip.driverId,
+      vehicleId: body.vehicleId || trip.vehicleId,
+    });
+    if (!refs.driverId || !refs.vehicleId) return 'driverId and vehicleId are required';
+    Object.assign(trip, refs);
+
+    const override = await assertNoConflicts({
+      driverId: trip.driverId,
+      vehicleId: trip.vehicleId,
+      startDate: trip.startDate,
+      endDate: trip.endDate,
+      excludeId: trip._id,
+    }, req);
+    if (override) trip.conflictOverrides.push(override);
+
+    const compliance = await assertCompliance(trip, req);
+    if (compliance.override) trip.complianceOverrides.push(compliance.override);
+    warnings.push(...compliance.warnings, ...await serviceWarnings(trip.vehicleId));
+  },
+}));
+
+router.post('/:id/start', authMiddleware, statusRoute('started', {
+  apply: async (trip, body) => {
+    const reading = readingFrom(body, 'startingReading');
+    if (reading === null) return 'startingReading is required';
+    if (Number.isNaN(reading)) return 'startingReading must be a non-negative number';
+    trip.startingReading = reading;
+    if (body.startDate) trip.startDate = body.startDate;
+    else if (!trip.startDate) trip.startDate = new Date();
+
+    await assertOdometer({ vehicleId: trip.vehicleId, date: trip.startDate, start: reading, excludeTripId: trip._id });
+  },
+}));
+
+router.post('/:id/complete', authMiddleware, statusRoute('completed', {
+  apply: async (trip, body) => {
+    const reading = readingFrom(body, 'endingReading');
+    if (reading === null) return 'endingReading is required';
+    if (Number.isNaN(reading)) return 'endingReading must be a non-negative number';
+    if (reading < Number(trip.startingReading || 0)) return 'endingReading cannot be less than startingReading';
+    trip.endingReading = reading;
+    trip.endDate = body.endDate || new Date();
+
+    await assertOdometer({
+      vehicleId: trip.vehicleId,
+      date: trip.startDate || trip.createdAt,
+      start: trip.startingReading,
+      end: reading,
+      excludeTripId: trip._id,
+    });
+  },
+}));
+
+router.post('/:id/cancel', authMiddleware, statusRoute('cancelled', {
+  permissions: ['trips:assign'],
+  apply: (trip, body) => {
+    if (body.reason) trip.cancelReason = body.reason;
+  },
+}));
+
+router.post('/:id/no-show', authMiddleware, statusRoute('no_show', { permissions: ['trips:assign'] }));
+
+
+// PAYMENTS
+async function loadTripForPayment(req, res) {
+  const trip = await Trip.findById(req.params.id);
+  if (!trip) {
+    res.status(404).json({ message: 'Trip not found' });
+    return null;
+  }
+  if (req.user.role === 'driver' && String(trip.driverId) !== String(req.user.id)) {
+    res.status(403).json({ message: 'Forbidden' });
+    return null;
+  }
+  return trip;
+}
+
+function paymentRoute(type) {
+  return async (req, res, next) => {
+    try {
+      const trip = await loadTripForPayment(req, res);
+      if (!trip) return;
+
+      const { amount, mode, date, collectedBy, reference, note } = req.body;
+      const payment = {
+        type,
+        amount,
+        mode,
+        date: date || new Date(),
+        collectedBy: collectedBy || (req.user.role === 'driver' ? trip.driverName : undefined),
+        reference,
+        note,
+        recordedBy: req.user.id,
+        recordedByRole: req.user.role,
+      };
+      if (collectedByDriver(payment, trip)) await assertPeriodOpen(trip.driverId, payment.date);
+
+      const entry = trip.addPayment(payment);
+      await trip.save();
+
+      res.status(201).json({
+        message: type === 'refund' ? 'Refund recorded' : 'Payment recorded',
+        payment: entry,
+        amountPaid: trip.amountPaid,
+        balanceAmount: trip.balanceAmount,
+        paymentStatus: trip.paymentStatus,
+      });
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+router.get('/:id/payments', authMiddleware, permit('payments:read', 'payments:read:own'), async (req, res, next) => {
+  try {
+    const trip = await loadTripForPayment(req, res);
+    if (!trip) return;
+
+    res.json({
+      tripAmount: trip.tripAmount,
+      amountPaid: trip.amountPaid,
+      balanceAmount: trip.balanceAmount,
+      paymentStatus: trip.paymentStatus,
+      payments: trip.payments,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/:id/payments', authMiddleware, permit('payments:write', 'payments:write:own'), paymentValidators, paymentRoute('payment'));
+router.post('/:id/refunds', authMiddleware, permit('payments:adjust'), paymentValidators, paymentRoute('refund'));
+
+// Remove a mistaken ledger entry - Admin only
+router.delete('/:id/payments/:paymentId', authMiddleware, permit('payments:adjust'), async (req, res, next) => {
+  try {
+    const trip = await Trip.findById(req.params.id);
+    if (!trip) return res.status(404).json({ message: 'Trip not found' });
+
+    const entry = trip.payments.id(req.params.paymentId);
+    if (!entry) return res.status(404).json({ message: 'Payment not found' });
+    if (collectedByDriver(entry, trip)) await assertPeriodOpen(trip.driverId, entry.date);
+
+    entry.deleteOne();
+    // an empty ledger would otherwise fall back to the legacy advance
+    if (trip.payments.length === 0) trip.advanceAmount = 0;
+    trip.recomputeBalance();
+    await trip.save();
+    res.json({
+      message: 'Payment removed',
+      amountPaid: trip.amountPaid,
+      balanceAmount: trip.balanceAmount,
+      paymentStatus: trip.paymentStatus,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+
+// FUEL LOG
+router.post('/:id/fuel', authMiddleware, permit('trips:write', 'trips:write:own'), fuelEntryValidators, async (req, res, next) => {
+  try {
+    const trip = await Trip.findById(req.params.id);
+    if (!trip) return res.status(404).json({ message: 'Trip not found' });
+    if (req.user.role === 'driver' && String(trip.driverId) !== String(req.user.id)) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+
+    const { fuelType, litres, pricePerLitre, amount, odometer, station, date, paidBy } = req.body;
+    if (amount === undefined && !(litres && pricePerLitre)) {
+      return res.status(400).json({ message: 'amount, or litres and pricePerLitre, are required' });
+    }
+    await assertTripNotSettled(trip);
+
+    // a trip still on legacy text fuel keeps that spend as its first entry
+    if (!trip.fuelEntries.length && trip.fuelAmount > 0) {
+      trip.fuelEntries.push({ fuelType: Trip.FUEL_TYPES.includes(trip.fuelType) ? trip.fuelType : undefined, amount: trip.fuelAmount });
+    }
+    trip.fuelEntries.push({ fuelType, litres, pricePerLitre, amount, odometer, station, date, paidBy });
+    await trip.save();
+
+    res.status(201).json({
+      message: 'Fuel entry added',
+      fuelEntry: trip.fuelEntries[trip.fuelEntries.length - 1],
+      fuelAmount: trip.fuelAmount,
+      fuelLitres: trip.fuelLitres,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/:id/fuel/:entryId', authMiddleware, permit('trips:write', 'trips:write:own'), async (req, res, next) => {
+  try {
+    const trip = await Trip.findById(req.params.id);
+    if (!trip) return res.status(404).json({ message: 'Trip not found' });
+    if (req.user.role === 'driver' && String(trip.driverId) !== String(req.user.id)) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+
+    const entry = trip.fuelEntries.id(req.params.entryId);
+    if (!entry) return res.status(404).json({ message: 'Fuel entry not found' });
+    await assertTripNotSettled(trip);
+
+    entry.deleteOne();
+    if (!trip.fuelEntries.length) trip.fuelAmount = 0;
+    await trip.save();
+    res.json({ message: 'Fuel entry removed', fuelAmount: trip.fuelAmount, fuelLitres: trip.fuelLitres });
+  } catch (err) {
+    next(err);
+  }
+});
+
+
+// PDF DOCUMENTS
+function pdfRoute(render, name) {
+  return async (req, res, next) => {
+    try {
+      const trip = await Trip.findById(req.params.id);
+      if (!trip) return res.status(404).json({ message: 'Trip not found' });
+      if (req.user.role === 'driver' && String(trip.driverId) !== String(req.user.id)) {
+        return res.status(403).json({ message: 'Forbidden' });
+      }
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="${name}-${trip.bookingId}.pdf"`);
+      render(trip, res);
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+router.get('/:id/invoice.pdf', authMiddleware, permit('payments:read'), pdfRoute(renderInvoice, 'invoice'));
+router.get('/:id/duty-slip.pdf', authMiddleware, permit('trips:read', 'trips:read:own'), pdfRoute(renderDutySlip, 'duty-slip'));
+
+
 // RESTORE
-router.post('/:id/restore', authMiddleware, async (req, res) => {
+router.post('/:id/restore', authMiddleware, permit('trips:delete'), async (req, res, next) => {
   try {
-    if (req.user.role !== 'admin') return res.status(403).json({ message: 'Admins only' });
     const trip = await Trip.findById(req.params.id);
     if (!trip) return res.status(404).json({ message: 'Trip not found' });
 
@@ -240,55 +623,74 @@ router.post('/:id/restore', authMiddleware, async (req, res) => {
     trip.driverDeletedAt = null;
     trip.driverDeletedBy = null;
     await trip.save();
-    res.json({ message: 'Trip restored', trip });
+    res.json({ message: 'Trip restored', trip: visibleTrip(req.user, trip) });
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
   }
 });
 
-router.get('/:id/whatsapp', authMiddleware, adminOnly, async (req, res) => {
+router.get('/:id/whatsapp', authMiddleware, permit('trips:assign'), async (req, res, next) => {
   try {
     const trip = await Trip.findById(req.params.id);
     if (!trip) return res.status(404).json({ message: 'Trip not found' });
 
-    const { sendTo } = req.query; // "customer" or "driver"
+    // sendTo: "customer" or "driver"; event and lang pick the template
+    const { sendTo, event, lang } = req.query;
+    if (event && !TEMPLATE_EVENTS.includes(event)) {
+      return res.status(400).json({ message: `event must be one of ${TEMPLATE_EVENTS.join(', ')}` });
+    }
+    if (lang && !LANGUAGES.includes(lang)) {
+      return res.status(400).json({ message: `lang must be one of ${LANGUAGES.join(', ')}` });
+    }
 
-    let phone = '';
+    let phone;
     if (sendTo === 'customer') {
       if (!trip.customerNumber) return res.status(400).json({ message: 'Customer number not available' });
-      phone = trip.customerNumber.replace(/\D/g, ''); // clean digits
+      phone = trip.customerNumber;
     } else if (sendTo === 'driver') {
       if (!trip.driverNumber) return res.status(400).json({ message: 'Driver number not available' });
-      phone = trip.driverNumber.replace(/\D/g, '');
+      phone = trip.driverNumber;
     } else {
       return res.status(400).json({ message: 'sendTo must be "customer" or "driver"' });
     }
+    const recipient = await recipientOf(trip, sendTo);
+
+    const defaultEvent = trip.driverId || trip.driverName ? 'driver_assignment' : 'booking_confirmation';
+    const message = await renderForTrip(event || defaultEvent, trip, { language: lang || languageFor(recipient) });
+    const waUrl = whatsappUrl(phone, message.text);
+    if (!waUrl) return res.status(400).json({ message: `${sendTo === 'customer' ? 'Customer' : 'Driver'} number is not a valid mobile number` });
 
-    const message = `
-Trip details
-Pick-up Date: ${trip.startDate || '-'}
-From: ${trip.fromLocation || '-'}
-To: ${trip.endLocation || '-'}
-Cost: ₹${trip.tripAmount || '-'}
-Passenger name: ${trip.customerName || '-'}
-Passenger number: ${trip.customerNumber || '-'}
-Driver name: ${trip.driverName || '-'}
-Phone number: ${trip.driverNumber || '-'}
-Vehicle: ${trip.vehicleType || '-'}
-Seating capacity: -
-Mode of Payment: ${trip.paymentMode || '-'}
-Booking Number: ${trip.bookingId || '-'}
-    `;
-
-    const encodedMessage = encodeURIComponent(message);
-    const waUrl = `https://wa.me/${phone}?text=${encodedMessage}`;
-
-    // ✅ Instead of redirecting, send JSON
-    res.json({ whatsappUrl: waUrl });
+    res.json({ whatsappUrl: waUrl, ...message });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// MESSAGES
+// Delivery log: everything sent (or queued) about this trip
+router.get('/:id/messages', authMiddleware, permit('trips:read'), async (req, res, next) => {
+  try {
+    const trip = await Trip.findById(req.params.id).select('_id');
+    if (!trip) return res.status(404).json({ message: 'Trip not found' });
+
+    const messages = await Message.find({ trip: trip._id }).sort({ createdAt: -1 }).lean();
+    res.json({ total: messages.length, messages });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Queue a templated message to the customer or driver
+router.post('/:id/messages', authMiddleware, permit('trips:assign'), tripMessageValidators, async (req, res, next) => {
+  try {
+    const trip = await Trip.findById(req.params.id);
+    if (!trip) return res.status(404).json({ message: 'Trip not found' });
 
+    const { event, sendTo, channel, language } = req.body;
+    const message = await queueTripMessage(trip, { event, sendTo, channel, language, user: req.user });
+    res.status(202).json(message);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error', error: err.message });
+    next(err);
   }
 });
 
@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+const Vehicle = require('../models/Vehicle');
+const VehicleDocument = require('../models/VehicleDocument');
+const { authMiddleware, permit } = require('../middleware/auth');
+const { uploader, handleUpload, fileInfo, absolutePath, removeFile } = require('../utils/uploads');
+const { vehicleDocumentCreateValidators, vehicleDocumentUpdateValidators } = require('../utils/validators');
+
+const DOCUMENT_FIELDS = ['documentType', 'documentNumber', 'issueDate', 'expiryDate', 'notes'];
+const upload = handleUpload(uploader('vehicle-documents').single('file'));
+
+const DAY_MS = 86400000;
+
+function pick(body) {
+  const out = {};
+  DOCUMENT_FIELDS.forEach((field) => {
+    if (body[field] !== undefined && body[field] !== '') out[field] = body[field];
+  });
+  return out;
+}
+
+// Documents expiring within ?days= (default 30), including already expired ones
+router.get('/expiring', authMiddleware, permit('vehicles:read'), async (req, res, next) => {
+  try {
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0) return res.status(400).json({ message: 'days must be a non-negative integer' });
+
+    const now = new Date();
+    const until = new Date(now.getTime() + days * DAY_MS);
+    const match = { expiryDate: { $lte: until } };
+    if (req.query.vehicleId) match.vehicle = req.query.vehicleId;
+    if (req.query.documentType) match.documentType = req.query.documentType;
+
+    const docs = await VehicleDocument.find(match).select('-file.path').sort({ expiryDate: 1 }).lean();
+
+    // a renewal uploaded later supersedes the old document of the same type
+    const renewed = await VehicleDocument.find({
+      vehicle: { $in: docs.map((d) => d.vehicle) },
+      expiryDate: { $gt: until },
+    }).select('vehicle documentType').lean();
+    const renewedKeys = new Set(renewed.map((d) => `${d.vehicle}:${d.documentType}`));
+
+    const rows = docs
+      .filter((d) => !renewedKeys.has(`${d.vehicle}:${d.documentType}`))
+      .map((d) => ({
+        ...d,
+        daysRemaining: Math.ceil((new Date(d.expiryDate) - now) / DAY_MS),
+        expired: d.expiryDate < now,
+        mandatory: VehicleDocument.MANDATORY_DOCUMENT_TYPES.includes(d.documentType),
+      }));
+
+    res.json({ days, count: rows.length, documents: rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// List documents (?vehicleId=&documentType=)
+router.get('/', authMiddleware, permit('vehicles:read'), async (req, res, next) => {
+  try {
+    const match = {};
+    if (req.query.vehicleId) match.vehicle = req.query.vehicleId;
+    if (req.query.documentType) match.documentType = req.query.documentType;
+    const docs = await VehicleDocument.find(match).sort({ vehicleNumber: 1, documentType: 1, expiryDate: -1 });
+    res.json(docs);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Create, multipart with an optional "file" field
+router.post('/', authMiddleware, permit('vehicles:write'), upload, vehicleDocumentCreateValidators, async (req, res, next) => {
+  try {
+    const vehicle = req.body.vehicleId ? await Vehicle.findById(req.body.vehicleId) : null;
+    if (!vehicle) {
+      if (req.file) removeFile(fileInfo(req.file).path);
+      return res.status(400).json({ message: 'Valid vehicleId is required' });
+    }
+
+    const doc = new VehicleDocument({
+      ...pick(req.body),
+      vehicle: vehicle._id,
+      vehicleNumber: vehicle.vehicleNumber,
+      file: fileInfo(req.file),
+    });
+    await doc.save();
+    res.status(201).json(doc);
+  } catch (err) {
+    if (req.file) removeFile(fileInfo(req.file).path);
+    next(err);
+  }
+});
+
+router.get('/:id', authMiddleware, permit('vehicles:read'), async (req, res, next) => {
+  try {
+    const doc = await VehicleDocument.findById(req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Document not found' });
+    res.json(doc);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Download the attached scan
+router.get('/:id/file', authMiddleware, permit('vehicles:read'), async (req, res, next) => {
+  try {
+    const doc = await VehicleDocument.findById(req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Document not found' });
+    const full = doc.file && doc.file.path && absolutePath(doc.file.path);
+    if (!full) return res.status(404).json({ message: 'No file attached' });
+
+    res.type(doc.file.mimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `inline; filename="${(doc.file.originalName || 'document').replace(/"/g, '')}"`);
+    res.sendFile(full, (err) => {
+      if (err && !res.headersSent) res.status(404).json({ message: 'File missing on disk' });
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update details and/or replace the file
+router.put('/:id', authMiddleware, permit('vehicles:write'), upload, vehicleDocumentUpdateValidators, async (req, res, next) => {
+  try {
+    const doc = await VehicleDocument.findById(req.params.id);
+    if (!doc) {
+      if (req.file) removeFile(fileInfo(req.file).path);
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    Object.assign(doc, pick(req.body));
+    const oldFile = req.file && doc.file ? doc.file.path : null;
+    if (req.file) doc.file = fileInfo(req.file);
+    await doc.save();
+    if (oldFile) removeFile(oldFile);
+    res.json(doc);
+  } catch (err) {
+    if (req.file) removeFile(fileInfo(req.file).path);
+    next(err);
+  }
+});
+
+router.delete('/:id', authMiddleware, permit('vehicles:write'), async (req, res, next) => {
+  try {
+    const doc = await VehicleDocument.findByIdAndDelete(req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Document not found' });
+    if (doc.file) removeFile(doc.file.path);
+    res.json({ message: 'Document deleted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const Vehicle = require('../models/Vehicle');
-const { authMiddleware, adminOnly, driverOnly } = require('../middleware/auth');
+const Driver = require('../models/Driver');
+const Trip = require('../models/trips');
+const Maintenance = require('../models/Maintenance');
+const { overlapMatch } = require('../utils/tripConflicts');
+const { escapeRegex } = require('../utils/tripHelpers');
+const { buildOdometerTimeline } = require('../utils/odometer');
+const { authMiddleware, permit } = require('../middleware/auth');
+const { vehicleCreateValidators, vehicleUpdateValidators } = require('../utils/validators');
 
 // Create vehicle - Admin only
-router.post('/', authMiddleware, adminOnly, async (req, res) => {
+router.post('/', authMiddleware, permit('vehicles:write'), vehicleCreateValidators, async (req, res, next) => {
     try {
         const { vehicleType, seatingCapacity, vehicleNumber } = req.body;
 
-        if (!vehicleType || !seatingCapacity || !vehicleNumber) {
-            return res.status(400).json({ message: "All fields are required" });
-        }
-
         // check duplicate vehicle number
         const exists = await Vehicle.findOne({ vehicleNumber });
         if (exists) return res.status(400).json({ message: "Vehicle number already exists" });
@@ -21,33 +24,108 @@ router.post('/', authMiddleware, adminOnly, async (req, res) => {
 
         res.status(201).json(vehicle);
     } catch (err) {
-        res.status(500).json({ message: "Server error", error: err.message });
+        next(err);
     }
 });
 
 // Get all vehicles - Admin & Driver
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, permit('vehicles:read'), async (req, res, next) => {
     try {
         const vehicles = await Vehicle.find().sort({ createdAt: -1 });
         res.json(vehicles);
     } catch (err) {
-        res.status(500).json({ message: "Server error", error: err.message });
+        next(err);
+    }
+});
+
+// Free vehicles (and active drivers) for a period - whoever assigns trips;
+// it lists drivers' contact details and other bookings
+// GET /api/vehicles/available?from=&to=&minSeats=&vehicleType=
+router.get('/available', authMiddleware, permit('trips:assign'), async (req, res, next) => {
+    try {
+        const { from, to, minSeats, vehicleType } = req.query;
+        if (!from) return res.status(400).json({ message: "from is required" });
+
+        const start = new Date(from);
+        const end = to ? new Date(to) : start;
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+            return res.status(400).json({ message: "Invalid from/to date" });
+        }
+        if (end < start) return res.status(400).json({ message: "to must be after from" });
+
+        const vehicleQuery = {};
+        if (minSeats !== undefined) {
+            const seats = Number(minSeats);
+            if (!Number.isFinite(seats) || seats < 0) return res.status(400).json({ message: "minSeats must be a number" });
+            vehicleQuery.seatingCapacity = { $gte: seats };
+        }
+        if (vehicleType) vehicleQuery.vehicleType = new RegExp(`^${escapeRegex(vehicleType)}$`, 'i');
+
+        const [vehicles, drivers, trips, downtime] = await Promise.all([
+            Vehicle.find(vehicleQuery).sort({ seatingCapacity: 1, vehicleNumber: 1 }),
+            Driver.find({ isActive: { $ne: false } }).select('name phone email').sort({ name: 1 }),
+            Trip.find(overlapMatch(start, end)).select('bookingId driverId vehicleId startDate endDate status').lean(),
+            Maintenance.find({ downtimeStart: { $lte: end }, downtimeEnd: { $gte: start } })
+                .select('vehicle maintenanceType downtimeStart downtimeEnd').lean(),
+        ]);
+
+        // vehicleId -> reasons it is unavailable
+        const blocked = new Map();
+        const block = (id, reason) => {
+            const key = String(id);
+            if (!blocked.has(key)) blocked.set(key, []);
+            blocked.get(key).push(reason);
+        };
+        trips.forEach((t) => {
+            if (t.vehicleId) block(t.vehicleId, { type: 'trip', bookingId: t.bookingId, startDate: t.startDate, endDate: t.endDate });
+        });
+        downtime.forEach((m) => {
+            block(m.vehicle, { type: 'maintenance', maintenanceType: m.maintenanceType, startDate: m.downtimeStart, endDate: m.downtimeEnd });
+        });
+
+        const busyDrivers = new Set(trips.filter((t) => t.driverId).map((t) => String(t.driverId)));
+
+        res.json({
+            from: start,
+            to: end,
+            vehicles: vehicles.filter((v) => !blocked.has(String(v._id))),
+            unavailable: vehicles
+                .filter((v) => blocked.has(String(v._id)))
+                .map((v) => ({ vehicle: v, reasons: blocked.get(String(v._id)) })),
+            drivers: drivers.filter((d) => !busyDrivers.has(String(d._id))),
+        });
+    } catch (err) {
+        next(err);
     }
 });
 
 // Get single vehicle - Admin & Driver
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, permit('vehicles:read'), async (req, res, next) => {
     try {
         const vehicle = await Vehicle.findById(req.params.id);
         if (!vehicle) return res.status(404).json({ message: "Vehicle not found" });
         res.json(vehicle);
     } catch (err) {
-        res.status(500).json({ message: "Server error", error: err.message });
+        next(err);
+    }
+});
+
+// Odometer history with unaccounted km between records - Admin only
+// GET /api/vehicles/:id/odometer?from=&to=
+router.get('/:id/odometer', authMiddleware, permit('reports:read'), async (req, res, next) => {
+    try {
+        const vehicle = await Vehicle.findById(req.params.id);
+        if (!vehicle) return res.status(404).json({ message: "Vehicle not found" });
+
+        const timeline = await buildOdometerTimeline(vehicle._id, req.query);
+        res.json({ vehicleNumber: vehicle.vehicleNumber, ...timeline });
+    } catch (err) {
+        next(err);
     }
 });
 
 // Update vehicle - Admin only
-router.put('/:id', authMiddleware, adminOnly, async (req, res) => {
+router.put('/:id', authMiddleware, permit('vehicles:write'), vehicleUpdateValidators, async (req, res, next) => {
     try {
         const { vehicleType, seatingCapacity, vehicleNumber } = req.body;
 
@@ -61,21 +139,18 @@ router.put('/:id', authMiddleware, adminOnly, async (req, res) => {
         await vehicle.save();
         res.json(vehicle);
     } catch (err) {
-        if (err.code === 11000) {
-            return res.status(400).json({ message: "Vehicle number already exists" });
-        }
-        res.status(500).json({ message: "Server error", error: err.message });
+        next(err);
     }
 });
 
 // Delete vehicle - Admin only
-router.delete('/:id', authMiddleware, adminOnly, async (req, res) => {
+router.delete('/:id', authMiddleware, permit('vehicles:write'), async (req, res, next) => {
     try {
         const vehicle = await Vehicle.findByIdAndDelete(req.params.id);
         if (!vehicle) return res.status(404).json({ message: "Vehicle not found" });
         res.json({ message: "Vehicle deleted" });
     } catch (err) {
-        res.status(500).json({ message: "Server error", error: err.message });
+        next(err);
     }
 });
 
@@ -0,0 +1,72 @@
+// scripts/migrate-customers.js
+// Creates Customer records from the name/number typed on existing trips and
+// links those trips by customerId. Trips whose number can't be normalized
+// are reported and left alone.
+// Usage: node scripts/migrate-customers.js [--dry-run]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Trip = require('../models/trips');
+const Customer = require('../models/Customer');
+const { normalizeIndianPhone } = require('../utils/phone');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/role_auth_db';
+const dryRun = process.argv.includes('--dry-run');
+
+async function run() {
+  await mongoose.connect(MONGO_URI);
+
+  // phone -> { name, tripIds } using the most recent name typed for that number
+  const byPhone = new Map();
+  const unmatched = [];
+
+  const cursor = Trip.collection.find(
+    { customerId: { $exists: false } },
+    { projection: { bookingId: 1, customerName: 1, customerNumber: 1, createdAt: 1 }, sort: { createdAt: 1 } }
+  );
+  for await (const trip of cursor) {
+    const phone = normalizeIndianPhone(trip.customerNumber);
+    if (!phone) {
+      if (trip.customerNumber || trip.customerName) unmatched.push(trip.bookingId);
+      continue;
+    }
+    if (!byPhone.has(phone)) byPhone.set(phone, { name: null, tripIds: [] });
+    const entry = byPhone.get(phone);
+    if (trip.customerName && trip.customerName.trim()) entry.name = trip.customerName.trim();
+    entry.tripIds.push(trip._id);
+  }
+
+  let created = 0;
+  let linkedTrips = 0;
+  for (const [phone, { name, tripIds }] of byPhone) {
+    linkedTrips += tripIds.length;
+    if (dryRun) continue;
+
+    let customer = await Customer.findOne({ phone });
+    if (!customer) {
+      customer = await Customer.create({ name: name || phone, phone });
+      created += 1;
+    }
+    await Trip.collection.updateMany(
+      { _id: { $in: tripIds } },
+      { $set: { customerId: customer._id, customerNumber: phone } }
+    );
+  }
+
+  console.log(dryRun ? 'Dry run:' : 'Done:', {
+    customers: byPhone.size,
+    created,
+    linkedTrips,
+    unmatchedTrips: unmatched.length,
+  });
+  if (unmatched.length) console.log('Trips with an unusable customer number:', unmatched.join(', '));
+
+  await mongoose.disconnect();
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+// scripts/migrate-fuel-entries.js
+// Converts the free-text fuelAmount on older trips ("Petrol: 120, CNG: 120")
+// into fuelEntries and a numeric fuelAmount total.
+// Usage: node scripts/migrate-fuel-entries.js [--dry-run]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Trip = require('../models/trips');
+const { parseLegacyFuel } = require('../utils/fuelLog');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/role_auth_db';
+const dryRun = process.argv.includes('--dry-run');
+
+async function run() {
+  await mongoose.connect(MONGO_URI);
+
+  let converted = 0;
+  const unparsed = [];
+
+  const cursor = Trip.collection.find(
+    { fuelAmount: { $type: 'string' } },
+    { projection: { bookingId: 1, fuelAmount: 1, fuelType: 1, fuelEntries: 1 } }
+  );
+  for await (const trip of cursor) {
+    const entries = parseLegacyFuel(trip.fuelAmount, trip.fuelType);
+    const total = Math.round(entries.reduce((sum, e) => sum + e.amount, 0) * 100) / 100;
+    if (!entries.length && trip.fuelAmount.trim() && trip.fuelAmount.trim() !== '0') unparsed.push(trip.bookingId);
+
+    converted += 1;
+    if (dryRun) {
+      console.log(`${trip.bookingId}: "${trip.fuelAmount}" ->`, entries);
+      continue;
+    }
+
+    const $set = { fuelAmount: total };
+    // keep entries already logged through the API
+    if (!(trip.fuelEntries && trip.fuelEntries.length)) {
+      $set.fuelEntries = entries.map((e) => {
+        const entry = { _id: new mongoose.Types.ObjectId(), amount: e.amount };
+        if (e.fuelType) entry.fuelType = e.fuelType;
+        return entry;
+      });
+    }
+    await Trip.collection.updateOne({ _id: trip._id }, { $set });
+  }
+
+  console.log(dryRun ? 'Would convert:' : 'Converted:', converted);
+  if (unparsed.length) console.log('No amount found in fuelAmount for:', unparsed.join(', '));
+  await mongoose.disconnect();
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,42 @@
+// scripts/migrate-owner.js
+// Staff roles arrived after the first admins were created. Promotes the
+// oldest admin account to owner when no owner exists yet, so someone can
+// invite and manage staff.
+// Usage: node scripts/migrate-owner.js [--dry-run]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Admin = require('../models/Admin');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/role_auth_db';
+const dryRun = process.argv.includes('--dry-run');
+
+async function run() {
+  await mongoose.connect(MONGO_URI);
+
+  if (await Admin.collection.findOne({ role: 'owner' })) {
+    console.log('An owner already exists; nothing to do');
+  } else {
+    const [oldest] = await Admin.collection
+      .find({ isActive: { $ne: false } })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(1)
+      .toArray();
+
+    if (!oldest) {
+      console.log('No admin accounts; create the owner with /api/auth/bootstrap');
+    } else {
+      if (!dryRun) await Admin.collection.updateOne({ _id: oldest._id }, { $set: { role: 'owner' } });
+      console.log(dryRun ? 'Would promote to owner:' : 'Promoted to owner:', oldest.email);
+    }
+  }
+
+  await mongoose.disconnect();
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,58 @@
+// scripts/migrate-payments.js
+// Backfills the payment ledger on trips created before it existed: seeds it
+// from advanceAmount and derives amountPaid, balanceAmount and paymentStatus.
+// Usage: node scripts/migrate-payments.js [--dry-run]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Trip = require('../models/trips');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/role_auth_db';
+const dryRun = process.argv.includes('--dry-run');
+
+async function run() {
+  await mongoose.connect(MONGO_URI);
+
+  const counts = {};
+  const cursor = Trip.collection.find({
+    $or: [
+      { payments: { $exists: false } },
+      { amountPaid: { $exists: false } },
+      { paymentStatus: { $exists: false } },
+    ],
+  });
+  for await (const raw of cursor) {
+    // same rules as a save through the model, without its other hooks
+    const trip = Trip.hydrate(raw);
+    trip.seedAdvancePayment();
+    trip.recomputeBalance();
+    counts[trip.paymentStatus] = (counts[trip.paymentStatus] || 0) + 1;
+
+    if (dryRun) {
+      console.log(`${trip.bookingId}: paid ${trip.amountPaid}, balance ${trip.balanceAmount}, ${trip.paymentStatus}`);
+      continue;
+    }
+
+    await Trip.collection.updateOne(
+      { _id: raw._id },
+      {
+        $set: {
+          payments: trip.toObject({ depopulate: true }).payments,
+          amountPaid: trip.amountPaid,
+          balanceAmount: trip.balanceAmount,
+          paymentStatus: trip.paymentStatus,
+        },
+      }
+    );
+  }
+
+  console.log(dryRun ? 'Would update:' : 'Updated:', counts);
+  await mongoose.disconnect();
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+// scripts/migrate-trip-status.js
+// Backfills `status` on trips created before the lifecycle existed.
+// Usage: node scripts/migrate-trip-status.js [--dry-run]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Trip = require('../models/trips');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/role_auth_db';
+const dryRun = process.argv.includes('--dry-run');
+
+function legacyStatus(trip) {
+  if (Number(trip.endingReading || 0) > 0) return 'completed';
+  if (trip.driverId && trip.vehicleId) return 'assigned';
+  return 'confirmed';
+}
+
+async function run() {
+  await mongoose.connect(MONGO_URI);
+
+  const counts = {};
+  const cursor = Trip.collection.find({ status: { $exists: false } });
+  for await (const trip of cursor) {
+    const status = legacyStatus(trip);
+    counts[status] = (counts[status] || 0) + 1;
+    if (dryRun) continue;
+
+    await Trip.collection.updateOne(
+      { _id: trip._id },
+      {
+        $set: {
+          status,
+          statusHistory: [{ to: status, at: trip.createdAt || new Date(), note: 'migrated' }],
+        },
+      }
+    );
+  }
+
+  console.log(dryRun ? 'Would update:' : 'Updated:', counts);
+  await mongoose.disconnect();
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -7,10 +7,21 @@ const bodyParser = require('body-parser');
 
 dotenv.config();
 
+// local modules read process.env when loaded, so only after .env
+const { requestContext } = require('./utils/requestContext');
+const { errorCodes, notFound, errorHandler } = require('./middleware/errorHandler');
+
 
 const app = express();
+// behind a reverse proxy, set TRUST_PROXY (e.g. 1 or "loopback") so req.ip is the client's
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 app.use(cors());
 app.use(bodyParser.json());
+app.use(requestContext);
+app.use(errorCodes);
 
 // Add this after middleware and before routes
 app.get('/', (req, res) => {
@@ -62,6 +73,16 @@ const vehicleRoutes = require('./routes/vehicles');
 const tripRoutes = require('./routes/trip.routes.js');
 const maintenanceRoutes = require('./routes/maintenance.js');
 const adsRoutes = require('./routes/ads');
+const customerRoutes = require('./routes/customers');
+const importRoutes = require('./routes/imports');
+const serviceRoutes = require('./routes/services');
+const vehicleDocumentRoutes = require('./routes/vehicleDocuments');
+const settlementRoutes = require('./routes/settlements');
+const auditRoutes = require('./routes/audit');
+const staffRoutes = require('./routes/staff');
+const notificationTemplateRoutes = require('./routes/notificationTemplates');
+const messageRoutes = require('./routes/messages');
+const { startMessageWorker } = require('./utils/messageQueue');
 
 
 
@@ -71,6 +92,19 @@ app.use('/api/vehicles', vehicleRoutes);
 app.use('/api/trips', tripRoutes);
 app.use('/api/maintenance', maintenanceRoutes);
 app.use('/api/ads', adsRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/services', serviceRoutes);
+app.use('/api/vehicle-documents', vehicleDocumentRoutes);
+app.use('/api/settlements', settlementRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/notification-templates', notificationTemplateRoutes);
+app.use('/api/messages', messageRoutes);
+
+// Errors
+app.use('/api', notFound);
+app.use(errorHandler);
 
 
 
@@ -82,6 +116,7 @@ mongoose
     .connect(MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true })
     .then(() => {
         console.log('MongoDB connected');
+        startMessageWorker();
         app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
     })
     .catch((err) => {
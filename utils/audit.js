@@ -0,0 +1,199 @@
+// utils/audit.js
+// Mongoose plugin that writes an AuditLog entry, with field-level
+// before/after values, for every create, update, delete and restore.
+const AuditLog = require('../models/AuditLog');
+const { currentContext } = require('./requestContext');
+
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+const REDACTED_FIELDS = ['password'];
+const REDACTED = '[redacted]';
+
+const UPDATE_HOOKS = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+const DELETE_HOOKS = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+const SINGLE_OPS = ['updateOne', 'findOneAndUpdate', 'deleteOne', 'findOneAndDelete'];
+// most documents one updateMany / deleteMany is audited for; past that the
+// rest are skipped, with an error logged
+const MAX_DOCUMENTS = Number(process.env.AUDIT_MAX_DOCUMENTS || 1000);
+const BATCH_SIZE = 200;
+
+/** JSON-safe copy: ObjectIds become strings, dates ISO strings */
+function plain(doc) {
+  if (!doc) return {};
+  const obj = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true, virtuals: false }) : doc;
+  return JSON.parse(JSON.stringify(obj));
+}
+
+function pick(obj, fields) {
+  return Object.fromEntries(fields.filter((field) => field in obj).map((field) => [field, obj[field]]));
+}
+
+function flatten(obj, prefix = '', out = {}) {
+  Object.keys(obj).forEach((key) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = obj[key];
+    if (value && typeof value === 'object' && !Array.isArray(value)) flatten(value, path, out);
+    else out[path] = value;
+  });
+  return out;
+}
+
+/** [{ field, before, after }] for every leaf path that differs; arrays compare whole */
+function diff(before, after, { ignore = IGNORED_FIELDS, redact = REDACTED_FIELDS } = {}) {
+  const a = flatten(before || {});
+  const b = flatten(after || {});
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+
+  return fields
+    .filter((field) => !ignore.includes(field.split('.')[0]))
+    .filter((field) => JSON.stringify(a[field]) !== JSON.stringify(b[field]))
+    .map((field) => (redact.includes(field.split('.')[0])
+      ? { field, before: a[field] === undefined ? undefined : REDACTED, after: b[field] === undefined ? undefined : REDACTED }
+      : { field, before: a[field], after: b[field] }));
+}
+
+/** Who is acting, from the request context; "system" for scripts and jobs */
+function actor() {
+  const ctx = currentContext();
+  if (!ctx) return { actorRole: 'system' };
+  return {
+    actorId: ctx.user ? ctx.user.id : undefined,
+    actorRole: ctx.user ? ctx.user.role : 'anonymous',
+    actorName: ctx.user ? ctx.user.name : undefined,
+    ip: ctx.ip,
+    userAgent: ctx.userAgent,
+    requestId: ctx.requestId,
+    method: ctx.method,
+    path: ctx.path,
+  };
+}
+
+async function write(entity, entityId, action, changes, who) {
+  try {
+    await AuditLog.create({ entity, entityId, action, changes, ...who });
+  } catch (err) {
+    // never fail the user's request because the audit write failed
+    console.error(`Audit log write failed for ${entity} ${entityId}:`, err.message);
+  }
+}
+
+/**
+ * Options:
+ *   ignore     - extra top-level fields to leave out of diffs
+ *   redact     - extra fields whose values are replaced by "[redacted]"
+ *   softDelete - boolean field whose true/false flips are logged as delete/restore
+ */
+function auditPlugin(schema, { ignore = [], redact = [], softDelete } = {}) {
+  const opts = { ignore: [...IGNORED_FIELDS, ...ignore], redact: [...REDACTED_FIELDS, ...redact] };
+
+  // Only the fields this save touches are read back from the database and
+  // diffed, so loading documents costs nothing extra.
+  schema.pre('save', async function () {
+    this.$locals.auditWho = actor();
+    this.$locals.auditWasNew = this.isNew;
+    if (this.isNew) return;
+
+    const fields = [...new Set(this.modifiedPaths().map((path) => path.split('.')[0]))];
+    if (softDelete && !fields.includes(softDelete)) fields.push(softDelete);
+    this.$locals.auditFields = fields;
+    const projection = Object.fromEntries(fields.map((field) => [field, 1]));
+    this.$locals.auditBefore = plain(await this.collection.findOne({ _id: this._id }, { projection }));
+  });
+
+  schema.post('save', async function () {
+    const isNew = this.$locals.auditWasNew;
+    const before = isNew ? {} : this.$locals.auditBefore || {};
+    let after = plain(this);
+    if (!isNew) after = pick(after, this.$locals.auditFields || []);
+
+    const changes = diff(before, after, opts);
+    if (!changes.length) return;
+
+    let action = isNew ? 'create' : 'update';
+    if (softDelete && !isNew && !before[softDelete] !== !after[softDelete]) {
+      action = after[softDelete] ? 'delete' : 'restore';
+    }
+    await write(this.constructor.modelName, this._id, action, changes, this.$locals.auditWho);
+  });
+
+  schema.pre('deleteOne', { document: true, query: false }, function () {
+    this.$locals.auditWho = actor();
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function () {
+    const changes = diff(plain(this), {}, opts);
+    await write(this.constructor.modelName, this._id, 'delete', changes, this.$locals.auditWho);
+  });
+
+  // Model.updateOne / findByIdAndUpdate / deleteMany / ...: read the documents
+  // before and after the query and diff them. Updates read only the fields
+  // they touch; single-document ops keep the query's sort so they read the
+  // document the query changes.
+  function touchedFields(update) {
+    if (!update || Array.isArray(update)) return null;
+    const keys = Object.keys(update);
+    if (!keys.every((key) => key.startsWith('$'))) return null; // replacement
+    const fields = new Set();
+    keys.forEach((op) => Object.keys(update[op] || {}).forEach((path) => fields.add(path.split('.')[0])));
+    return [...fields];
+  }
+
+  async function matching(query, fields) {
+    const single = SINGLE_OPS.includes(query.op);
+    const find = query.model.find(query.getFilter()).lean().limit(single ? 1 : MAX_DOCUMENTS + 1);
+    const { sort } = query.getOptions();
+    if (single && sort) find.sort(sort);
+    if (fields) find.select(fields.join(' '));
+    const docs = await find;
+    if (docs.length > MAX_DOCUMENTS) {
+      console.error(`Audit log: ${query.op} on ${query.model.modelName} matched over ${MAX_DOCUMENTS} documents; only the first ${MAX_DOCUMENTS} are audited`);
+      docs.length = MAX_DOCUMENTS;
+    }
+    return docs;
+  }
+
+  schema.pre(UPDATE_HOOKS, { document: false, query: true }, async function () {
+    this._auditWho = actor();
+    this._auditFields = touchedFields(this.getUpdate());
+    this._auditBefore = await matching(this, this._auditFields);
+  });
+
+  schema.post(UPDATE_HOOKS, { document: false, query: true }, async function () {
+    const fields = this._auditFields;
+    const audit = async (after, before) => {
+      for (const doc of after) {
+        const old = before.get(String(doc._id));
+        const changes = diff(plain(old), plain(doc), opts);
+        if (changes.length) await write(this.model.modelName, doc._id, old ? 'update' : 'create', changes, this._auditWho);
+      }
+    };
+
+    const before = new Map(this._auditBefore.map((d) => [String(d._id), d]));
+    // upserts create a document the pre hook could not see
+    if (!before.size) return audit(await matching(this, fields), before);
+
+    // the update may have changed the fields the filter matched on, so
+    // re-read by id, a batch at a time
+    const ids = [...before.keys()];
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      const find = this.model.find({ _id: { $in: ids.slice(i, i + BATCH_SIZE) } }).lean();
+      if (fields) find.select(fields.join(' '));
+      await audit(await find, before);
+    }
+  });
+
+  schema.pre(DELETE_HOOKS, { document: false, query: true }, async function () {
+    this._auditWho = actor();
+    this._auditBefore = await matching(this);
+  });
+
+  schema.post(DELETE_HOOKS, { document: false, query: true }, async function () {
+    for (const doc of this._auditBefore) {
+      await write(this.model.modelName, doc._id, 'delete', diff(plain(doc), {}, opts), this._auditWho);
+    }
+  });
+}
+
+module.exports = {
+  diff,
+  auditPlugin,
+};
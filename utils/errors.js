@@ -0,0 +1,97 @@
+// utils/errors.js
+// Maps any error to the status and JSON body sent to the client. Every error
+// body has a `message` and a stable, machine-readable `code`.
+
+// read per call: .env may be loaded after this module
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// default code per status, for errors that don't name their own
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  413: 'PAYLOAD_TOO_LARGE',
+  423: 'LOCKED',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+};
+
+function codeFor(status) {
+  return STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'ERROR');
+}
+
+/** An error the handler answers with `status`, e.g. httpError(404, 'Trip not found') */
+function httpError(status, message, code, extra) {
+  const err = new Error(message);
+  err.status = status;
+  if (code || extra) err.body = { message, code: code || codeFor(status), ...extra };
+  return err;
+}
+
+function modelName(err) {
+  return (err.model && err.model.modelName) || 'Record';
+}
+
+/** { status, body } for an error; internals are only shown outside production */
+function describeError(err) {
+  // body-parser
+  if (err.type === 'entity.parse.failed') {
+    return { status: 400, body: { message: 'Request body is not valid JSON', code: 'INVALID_JSON' } };
+  }
+  if (err.type === 'entity.too.large') {
+    return { status: 413, body: { message: 'Request body is too large', code: 'PAYLOAD_TOO_LARGE' } };
+  }
+
+  // errors thrown on purpose by routes and helpers (err.status, optional err.body)
+  if (err.status && err.status < 500) {
+    const body = { ...(err.body || { message: err.message }) };
+    if (!body.code) body.code = codeFor(err.status);
+    return { status: err.status, body };
+  }
+
+  if (err.name === 'ValidationError' && err.errors) {
+    const errors = Object.values(err.errors).map((e) => ({
+      field: e.path,
+      message: e.name === 'CastError' ? `${e.path} has an invalid value` : e.message,
+    }));
+    return { status: 400, body: { message: 'Validation failed', code: 'VALIDATION_FAILED', errors } };
+  }
+
+  // an id that can never match is the same as one that doesn't exist
+  if (err.name === 'CastError' && err.path === '_id') {
+    return { status: 404, body: { message: `${modelName(err)} not found`, code: 'NOT_FOUND' } };
+  }
+  if (err.name === 'CastError') {
+    return { status: 400, body: { message: `Invalid value for ${err.path}`, code: 'INVALID_VALUE', field: err.path } };
+  }
+  if (err.name === 'BSONError') {
+    return { status: 400, body: { message: 'Invalid id', code: 'INVALID_ID' } };
+  }
+
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return {
+      status: 409,
+      body: {
+        message: fields.length ? `${fields.join(', ')} already exists` : 'Duplicate record',
+        code: 'DUPLICATE_KEY',
+        fields,
+      },
+    };
+  }
+
+  const body = { message: 'Server error', code: 'INTERNAL_ERROR' };
+  if (!isProduction()) body.error = err.message;
+  return { status: 500, body };
+}
+
+module.exports = {
+  isProduction,
+  STATUS_CODES,
+  codeFor,
+  httpError,
+  describeError,
+};
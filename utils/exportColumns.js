@@ -0,0 +1,76 @@
+// utils/exportColumns.js
+// Columns available to the CSV/XLSX exports, in their default order.
+const { col, dateCol, idCol } = require('./exporter');
+
+const tripColumns = [
+  col('bookingId', 'Booking ID'),
+  col('bookingDate', 'Booking Date'),
+  col('status', 'Status'),
+  col('customerName', 'Customer'),
+  col('customerNumber', 'Customer Number'),
+  col('driverName', 'Driver'),
+  col('driverNumber', 'Driver Number'),
+  col('vehicleNumber', 'Vehicle Number'),
+  col('vehicleType', 'Vehicle Type'),
+  dateCol('startDate', 'Start'),
+  col('fromLocation', 'From'),
+  dateCol('endDate', 'End'),
+  col('endLocation', 'To'),
+  col('startingReading', 'Starting Reading'),
+  col('endingReading', 'Ending Reading'),
+  col('distanceKm', 'Distance (km)'),
+  col('tripAmount', 'Trip Amount'),
+  col('advanceAmount', 'Advance'),
+  col('amountPaid', 'Amount Paid'),
+  col('balanceAmount', 'Balance'),
+  col('paymentStatus', 'Payment Status'),
+  col('paymentMode', 'Payment Mode'),
+  col('tripAmountReceivedBy', 'Received By'),
+  col('fuelType', 'Fuel Type'),
+  col('fuelAmount', 'Fuel'),
+  col('fuelLitres', 'Fuel Litres'),
+  col('tolls', 'Tolls'),
+  col('parkingCharges', 'Parking'),
+  col('driverBeta', 'Driver Beta'),
+  col('totalExpenses', 'Total Expenses'),
+  col('profit', 'Profit'),
+  col('revenuePerKm', 'Revenue per km'),
+  col('costPerKm', 'Cost per km'),
+  col('description', 'Description'),
+  col('createdByRole', 'Created By Role'),
+  dateCol('createdAt', 'Created At'),
+  col('isDriverDeleted', 'Deleted'),
+];
+
+const maintenanceColumns = [
+  dateCol('date', 'Date'),
+  col('maintenanceType', 'Type'),
+  col('maintenanceCost', 'Cost'),
+  col('vehicleNumber', 'Vehicle Number'),
+  idCol('vehicle', 'Vehicle ID'),
+  col('kmAtMaintenance', 'KM at Maintenance'),
+  col('nextOilChangeKm', 'Next Oil Change KM'),
+  col('originalOdometerKm', 'Original Odometer KM'),
+  col('driverName', 'Driver'),
+  col('driverPhone', 'Driver Phone'),
+  idCol('driver', 'Driver ID'),
+  col('company', 'Company'),
+  col('paymentMode', 'Payment Mode'),
+  col('description', 'Description'),
+  dateCol('downtimeStart', 'Downtime Start'),
+  dateCol('downtimeEnd', 'Downtime End'),
+  dateCol('createdAt', 'Created At'),
+];
+
+const adColumns = [
+  dateCol('date', 'Date'),
+  col('paymentMode', 'Payment Mode'),
+  col('amount', 'Amount'),
+  dateCol('createdAt', 'Created At'),
+];
+
+module.exports = {
+  tripColumns,
+  maintenanceColumns,
+  adColumns,
+};
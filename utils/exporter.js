@@ -0,0 +1,136 @@
+// utils/exporter.js
+// Streams query results as CSV or XLSX without buffering the whole result set.
+const ExcelJS = require('exceljs');
+const { badRequest } = require('./tripHelpers');
+
+const FORMATS = ['csv', 'xlsx'];
+const TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Kolkata';
+
+const formatDate = (d) => (d ? new Date(d).toLocaleString('en-IN', { timeZone: TIMEZONE }) : '');
+
+/**
+ * Column helpers. Each column is { key, header, value(doc) }.
+ */
+const col = (key, header, value) => ({ key, header, value: value || ((doc) => doc[key]) });
+const dateCol = (key, header) => col(key, header, (doc) => formatDate(doc[key]));
+const idCol = (key, header) => col(key, header, (doc) => (doc[key] ? String(doc[key]._id || doc[key]) : ''));
+
+/**
+ * Pick the requested columns (?columns=a,b,c) in the order given,
+ * or all of them when none were asked for.
+ */
+function selectColumns(all, requested) {
+  if (!requested) return all;
+  const keys = String(requested).split(',').map((k) => k.trim()).filter(Boolean);
+  const unknown = keys.filter((k) => !all.some((c) => c.key === k));
+  if (unknown.length) throw badRequest(`Unknown column(s): ${unknown.join(', ')}`);
+  return keys.map((k) => all.find((c) => c.key === k));
+}
+
+function parseFormat(format) {
+  const f = String(format || 'csv').toLowerCase();
+  if (!FORMATS.includes(f)) throw badRequest(`format must be one of ${FORMATS.join(', ')}`);
+  return f;
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? formatDate(value) : String(value);
+  // keep spreadsheet apps from evaluating cell contents as formulas
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// the download was abandoned; stop reading the cursor
+function clientGone() {
+  const err = new Error('Client closed the connection');
+  err.code = 'CLIENT_GONE';
+  return err;
+}
+
+/** Resolves once the response drains, rejects if the client went away first */
+function drain(res) {
+  if (res.destroyed) return Promise.reject(clientGone());
+  return new Promise((resolve, reject) => {
+    const settle = (err) => {
+      res.off('drain', drained);
+      res.off('close', gone);
+      res.off('error', gone);
+      if (err) reject(err);
+      else resolve();
+    };
+    const drained = () => settle();
+    const gone = () => settle(clientGone());
+    res.once('drain', drained);
+    res.once('close', gone);
+    res.once('error', gone);
+  });
+}
+
+function write(res, chunk) {
+  if (res.destroyed) return Promise.reject(clientGone());
+  return res.write(chunk) ? Promise.resolve() : drain(res);
+}
+
+async function streamCsv(res, columns, cursor) {
+  // BOM so Excel opens UTF-8 (₹, Hindi/Telugu names) correctly
+  await write(res, `\uFEFF${columns.map((c) => csvCell(c.header)).join(',')}\r\n`);
+  for await (const doc of cursor) {
+    await write(res, `${columns.map((c) => csvCell(c.value(doc))).join(',')}\r\n`);
+  }
+  res.end();
+}
+
+async function streamXlsx(res, columns, cursor, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map((c) => ({ header: c.header, key: c.key, width: Math.max(12, c.header.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const doc of cursor) {
+    if (res.destroyed) throw clientGone();
+    // the workbook writer doesn't wait for a slow client, so wait here
+    if (res.writableNeedDrain) await drain(res);
+    const row = {};
+    columns.forEach((c) => { row[c.key] = c.value(doc); });
+    sheet.addRow(row).commit();
+  }
+
+  await sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Send a CSV/XLSX download.
+ * `cursor` is anything async-iterable (a mongoose query cursor).
+ */
+async function streamExport(res, { format, filename, columns, cursor, sheetName = 'Sheet1' }) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  } else {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  }
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}-${stamp}.${format}"`);
+
+  try {
+    if (format === 'xlsx') await streamXlsx(res, columns, cursor, sheetName);
+    else await streamCsv(res, columns, cursor);
+  } catch (err) {
+    if (err.code !== 'CLIENT_GONE') throw err;
+  } finally {
+    // a no-op after a full read; frees the server cursor when we stopped early
+    if (typeof cursor.close === 'function') await cursor.close().catch(() => {});
+  }
+}
+
+module.exports = {
+  FORMATS,
+  col,
+  dateCol,
+  idCol,
+  selectColumns,
+  parseFormat,
+  streamExport,
+};
@@ -0,0 +1,150 @@
+// utils/fuelLog.js
+const Trip = require('../models/trips');
+const { buildMatch } = require('./tripHelpers');
+const { VOID_STATUSES } = require('./tripStatus');
+
+const { FUEL_TYPES } = Trip;
+
+const NUMBER_RE = /\d+(?:\.\d+)?/g;
+
+/**
+ * Turn a legacy free-text fuelAmount ("Petrol: 120, CNG: 80.5", "500")
+ * into fuel entries. Amounts only; litres were never recorded.
+ */
+function parseLegacyFuel(value, tripFuelType) {
+  if (value === undefined || value === null || value === '') return [];
+  const text = String(value).trim();
+
+  if (!isNaN(Number(text))) {
+    const amount = Number(text);
+    if (amount <= 0) return [];
+    return [{ fuelType: FUEL_TYPES.includes(tripFuelType) ? tripFuelType : undefined, amount }];
+  }
+
+  const entries = [];
+  // "<type>: <amount>" pairs first, then any bare numbers left over
+  const pair = /([A-Za-z]+)\s*[:=-]?\s*(\d+(?:\.\d+)?)/g;
+  let rest = text;
+  let m;
+  while ((m = pair.exec(text)) !== null) {
+    const type = FUEL_TYPES.find((t) => t.toLowerCase() === m[1].toLowerCase());
+    if (!type) continue;
+    entries.push({ fuelType: type, amount: Number(m[2]) });
+    rest = rest.replace(m[0], '');
+  }
+  (rest.match(NUMBER_RE) || []).forEach((n) => {
+    if (Number(n) > 0) entries.push({ fuelType: FUEL_TYPES.includes(tripFuelType) ? tripFuelType : undefined, amount: Number(n) });
+  });
+  return entries;
+}
+
+// CNG is bought by the kg, the rest by the litre
+const unitOf = (fuelType) => (fuelType === 'CNG' ? 'kg' : 'litre');
+
+/**
+ * Fuel efficiency per vehicle for trips matching the usual list filters.
+ * Distance comes from the trips' odometer readings and quantities from the
+ * fuel entries logged on those same trips, so only trips with a reading and
+ * at least one entry with litres are counted. Km per litre (per kg for CNG)
+ * is worked out per fuel type, from trips that ran on that one type and
+ * logged litres on every entry; entries with only an amount would inflate it.
+ */
+async function buildFuelEfficiency(req) {
+  const match = buildMatch(req);
+  if (!match.status) match.status = { $nin: VOID_STATUSES };
+  match.vehicleId = match.vehicleId || { $ne: null };
+  match['fuelEntries.litres'] = { $gt: 0 };
+
+  const rows = await Trip.aggregate([
+    { $match: match },
+    {
+      $addFields: {
+        _km: {
+          $cond: [
+            { $gt: ['$endingReading', '$startingReading'] },
+            { $subtract: ['$endingReading', '$startingReading'] },
+            0,
+          ],
+        },
+      },
+    },
+    { $match: { _km: { $gt: 0 } } },
+    { $unwind: '$fuelEntries' },
+    {
+      $group: {
+        _id: { trip: '$_id', vehicle: '$vehicleId', fuelType: { $ifNull: ['$fuelEntries.fuelType', 'Unknown'] } },
+        vehicleNumber: { $first: '$vehicleNumber' },
+        km: { $first: '$_km' },
+        litres: { $sum: { $ifNull: ['$fuelEntries.litres', 0] } },
+        amount: { $sum: { $ifNull: ['$fuelEntries.amount', 0] } },
+        withoutLitres: { $sum: { $cond: [{ $gt: ['$fuelEntries.litres', 0] }, 0, 1] } },
+      },
+    },
+    {
+      $group: {
+        _id: { trip: '$_id.trip', vehicle: '$_id.vehicle' },
+        vehicleNumber: { $first: '$vehicleNumber' },
+        km: { $first: '$km' },
+        amount: { $sum: '$amount' },
+        fuel: { $push: { fuelType: '$_id.fuelType', litres: '$litres', amount: '$amount', withoutLitres: '$withoutLitres' } },
+      },
+    },
+    {
+      $group: {
+        _id: '$_id.vehicle',
+        vehicleNumber: { $first: '$vehicleNumber' },
+        trips: { $sum: 1 },
+        km: { $sum: '$km' },
+        amount: { $sum: '$amount' },
+        tripFuel: { $push: { km: '$km', fuel: '$fuel' } },
+      },
+    },
+  ]);
+
+  const round = (n, d = 2) => Math.round(n * 10 ** d) / 10 ** d;
+
+  const vehicles = rows.map((r) => {
+    const types = {};
+    const typeOf = (fuelType) => {
+      if (!types[fuelType]) types[fuelType] = { fuelType, unit: unitOf(fuelType), litres: 0, amount: 0, trips: 0, km: 0, measured: 0 };
+      return types[fuelType];
+    };
+    r.tripFuel.forEach(({ km, fuel }) => {
+      fuel.forEach((f) => {
+        const t = typeOf(f.fuelType);
+        t.litres += f.litres;
+        t.amount += f.amount;
+      });
+      // a trip on two fuels can't be split between them
+      const [only] = fuel;
+      if (fuel.length === 1 && only.fuelType !== 'Unknown' && !only.withoutLitres && only.litres > 0) {
+        const t = typeOf(only.fuelType);
+        t.trips += 1;
+        t.km += km;
+        t.measured += only.litres;
+      }
+    });
+
+    return {
+      vehicleId: r._id,
+      vehicleNumber: r.vehicleNumber,
+      trips: r.trips,
+      km: r.km,
+      amount: round(r.amount),
+      costPerKm: r.km > 0 ? round(r.amount / r.km) : null,
+      byFuelType: Object.values(types).map(({ measured, ...t }) => ({
+        ...t,
+        litres: round(t.litres),
+        amount: round(t.amount),
+        kmPerUnit: measured > 0 ? round(t.km / measured) : null,
+      })),
+    };
+  });
+
+  return { vehicles: vehicles.sort((a, b) => String(a.vehicleNumber).localeCompare(String(b.vehicleNumber))) };
+}
+
+module.exports = {
+  parseLegacyFuel,
+  buildFuelEfficiency,
+};
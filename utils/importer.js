@@ -0,0 +1,323 @@
+// utils/importer.js
+// CSV imports for vehicles, drivers and trips. Every row is validated and
+// reported; in commit mode only the valid rows are written.
+const { parse } = require('csv-parse/sync');
+const Driver = require('../models/Driver');
+const Vehicle = require('../models/Vehicle');
+const Trip = require('../models/trips');
+const BookingCounter = require('../models/BookingCounter');
+const { badRequest, linkCustomer } = require('./tripHelpers');
+const { STATUSES } = require('./tripStatus');
+const { normalizeIndianPhone } = require('./phone');
+const { tripColumns } = require('./exportColumns');
+const { parseLegacyFuel } = require('./fuelLog');
+
+const MAX_ROWS = 10000;
+const MODES = ['dry-run', 'commit'];
+
+const VEHICLE_FIELDS = ['vehicleType', 'seatingCapacity', 'vehicleNumber'];
+const DRIVER_FIELDS = ['name', 'email', 'password', 'phone', 'isActive'];
+const TRIP_FIELDS = [
+  'bookingId', 'bookingDate', 'status',
+  'driverEmail', 'driverId', 'vehicleNumber', 'vehicleId',
+  'customerName', 'customerNumber',
+  'startDate', 'fromLocation', 'endDate', 'endLocation',
+  'startingReading', 'endingReading',
+  'tripAmount', 'advanceAmount', 'paymentMode', 'tripAmountReceivedBy',
+  'fuelType', 'fuelAmount', 'tolls', 'parkingCharges', 'driverBeta',
+  'description',
+];
+const TRIP_NUMBER_FIELDS = ['startingReading', 'endingReading', 'tripAmount', 'advanceAmount', 'tolls', 'parkingCharges', 'driverBeta'];
+
+function parseMode(mode) {
+  const m = mode || 'dry-run';
+  if (!MODES.includes(m)) throw badRequest(`mode must be one of ${MODES.join(', ')}`);
+  return m;
+}
+
+/**
+ * Parse CSV text into row objects keyed by field name.
+ * Headers may be the field name in any case ("vehiclenumber") or one of
+ * the export headers ("Vehicle Number"), so exported files import back.
+ */
+function parseCsv(text, fields, aliases = {}) {
+  if (!text || !String(text).trim()) throw badRequest('CSV body is empty');
+
+  let records;
+  try {
+    records = parse(String(text), { bom: true, skip_empty_lines: true, trim: true, relax_column_count: true });
+  } catch (err) {
+    throw badRequest(`Invalid CSV: ${err.message}`);
+  }
+  if (records.length < 2) throw badRequest('CSV has no data rows');
+  if (records.length - 1 > MAX_ROWS) throw badRequest(`CSV has more than ${MAX_ROWS} rows`);
+
+  const lookup = {};
+  fields.forEach((f) => { lookup[f.toLowerCase()] = f; });
+  Object.entries(aliases).forEach(([header, f]) => { lookup[header.toLowerCase()] = f; });
+
+  const header = records[0].map((h) => lookup[String(h).trim().toLowerCase()] || null);
+  if (!header.some(Boolean)) throw badRequest(`No known columns. Expected some of: ${fields.join(', ')}`);
+
+  return records.slice(1).map((cells) => {
+    const row = {};
+    header.forEach((field, i) => {
+      if (field && cells[i] !== undefined && cells[i] !== '') row[field] = cells[i];
+    });
+    return row;
+  });
+}
+
+function toNumber(row, field, errors) {
+  if (row[field] === undefined) return undefined;
+  const n = Number(String(row[field]).replace(/,/g, ''));
+  if (!Number.isFinite(n) || n < 0) {
+    errors.push(`${field} must be a non-negative number`);
+    return undefined;
+  }
+  return n;
+}
+
+function toDate(row, field, errors) {
+  if (row[field] === undefined) return undefined;
+  const d = new Date(row[field]);
+  if (isNaN(d.getTime())) {
+    errors.push(`${field} is not a valid date`);
+    return undefined;
+  }
+  return d;
+}
+
+function validationMessages(err) {
+  if (err.name === 'ValidationError') return Object.values(err.errors).map((e) => e.message);
+  return [err.message];
+}
+
+function summarize(mode, results) {
+  const invalid = results.filter((r) => r.errors.length).length;
+  return {
+    mode,
+    total: results.length,
+    valid: results.length - invalid,
+    invalid,
+    imported: results.filter((r) => r.imported).length,
+    rows: results,
+  };
+}
+
+// first data row is line 2 of the file
+const lineOf = (i) => i + 2;
+
+async function importVehicles(text, { mode }) {
+  const rows = parseCsv(text, VEHICLE_FIELDS, { 'vehicle type': 'vehicleType', 'seating capacity': 'seatingCapacity', 'vehicle number': 'vehicleNumber' });
+
+  const numbers = rows.map((r) => String(r.vehicleNumber || '').toUpperCase().replace(/\s+/g, '')).filter(Boolean);
+  const existing = new Set((await Vehicle.find({ vehicleNumber: { $in: numbers } }).select('vehicleNumber')).map((v) => v.vehicleNumber));
+  const seen = new Set();
+
+  const results = [];
+  for (const [i, row] of rows.entries()) {
+    const errors = [];
+    const vehicleNumber = row.vehicleNumber ? String(row.vehicleNumber).toUpperCase().replace(/\s+/g, '') : '';
+    const seatingCapacity = toNumber(row, 'seatingCapacity', errors);
+
+    if (!row.vehicleType) errors.push('vehicleType is required');
+    if (row.seatingCapacity === undefined) errors.push('seatingCapacity is required');
+    if (!vehicleNumber) errors.push('vehicleNumber is required');
+    else if (existing.has(vehicleNumber)) errors.push('vehicleNumber already exists');
+    else if (seen.has(vehicleNumber)) errors.push('vehicleNumber is repeated in this file');
+    if (vehicleNumber) seen.add(vehicleNumber);
+
+    const result = { row: lineOf(i), vehicleNumber, errors, imported: false };
+    if (!errors.length && mode === 'commit') {
+      try {
+        const vehicle = await Vehicle.create({ vehicleType: row.vehicleType, seatingCapacity, vehicleNumber });
+        result.id = vehicle._id;
+        result.imported = true;
+      } catch (err) {
+        errors.push(...validationMessages(err));
+      }
+    }
+    results.push(result);
+  }
+  return summarize(mode, results);
+}
+
+async function importDrivers(text, { mode }) {
+  const rows = parseCsv(text, DRIVER_FIELDS, { active: 'isActive' });
+
+  const emails = rows.map((r) => String(r.email || '').toLowerCase()).filter(Boolean);
+  const existing = new Set((await Driver.find({ email: { $in: emails } }).select('email')).map((d) => d.email));
+  const seen = new Set();
+
+  const results = [];
+  for (const [i, row] of rows.entries()) {
+    const errors = [];
+    const email = String(row.email || '').toLowerCase();
+
+    if (!row.name || row.name.length < 2) errors.push('name is required');
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.push('valid email is required');
+    else if (existing.has(email)) errors.push('email already exists');
+    else if (seen.has(email)) errors.push('email is repeated in this file');
+    if (email) seen.add(email);
+    if (!row.password || row.password.length < 6) errors.push('password min 6 chars');
+
+    let isActive = true;
+    if (row.isActive !== undefined) {
+      const v = String(row.isActive).toLowerCase();
+      if (['true', 'yes', '1', 'active'].includes(v)) isActive = true;
+      else if (['false', 'no', '0', 'inactive'].includes(v)) isActive = false;
+      else errors.push('isActive must be true or false');
+    }
+
+    const result = { row: lineOf(i), email, errors, imported: false };
+    if (!errors.length && mode === 'commit') {
+      try {
+        const driver = new Driver({
+          name: row.name,
+          email,
+          password: row.password,
+          phone: normalizeIndianPhone(row.phone) || row.phone,
+          isActive,
+        });
+        await driver.save();
+        result.id = driver._id;
+        result.imported = true;
+      } catch (err) {
+        errors.push(...validationMessages(err));
+      }
+    }
+    results.push(result);
+  }
+  return summarize(mode, results);
+}
+
+/**
+ * Imported booking ids in the YYYYMMDDNNN format could collide with ids the
+ * counter hands out later for that day, so move those counters past them.
+ * Today's sequence is never consumed by an import.
+ */
+async function bumpBookingCounters(bookingIds) {
+  const highest = {};
+  bookingIds.forEach((id) => {
+    const m = /^(\d{8})(\d{3,})$/.exec(id);
+    if (!m) return;
+    highest[m[1]] = Math.max(highest[m[1]] || 0, Number(m[2]));
+  });
+  await Promise.all(Object.entries(highest).map(([date, seq]) =>
+    BookingCounter.updateOne({ date }, { $max: { seq } }, { upsert: true })));
+}
+
+async function importTrips(text, { mode, user }) {
+  const aliases = {};
+  tripColumns.forEach((c) => { if (TRIP_FIELDS.includes(c.key)) aliases[c.header] = c.key; });
+  Object.assign(aliases, { 'driver email': 'driverEmail', start: 'startDate', end: 'endDate', from: 'fromLocation', to: 'endLocation' });
+  const rows = parseCsv(text, TRIP_FIELDS, aliases);
+
+  const emails = [...new Set(rows.map((r) => String(r.driverEmail || '').toLowerCase()).filter(Boolean))];
+  const numbers = [...new Set(rows.map((r) => String(r.vehicleNumber || '').toUpperCase().replace(/\s+/g, '')).filter(Boolean))];
+  const bookingIds = rows.map((r) => r.bookingId).filter(Boolean);
+
+  const [drivers, vehicles, existingTrips] = await Promise.all([
+    Driver.find({ email: { $in: emails } }),
+    Vehicle.find({ vehicleNumber: { $in: numbers } }),
+    Trip.find({ bookingId: { $in: bookingIds } }).select('bookingId'),
+  ]);
+  const driverByEmail = new Map(drivers.map((d) => [d.email, d]));
+  const vehicleByNumber = new Map(vehicles.map((v) => [v.vehicleNumber, v]));
+  const existing = new Set(existingTrips.map((t) => t.bookingId));
+  const seen = new Set();
+
+  const results = [];
+  const imported = [];
+  for (const [i, row] of rows.entries()) {
+    const errors = [];
+    const data = {};
+
+    // booking id is mandatory so historical ids are kept and the counter is untouched
+    if (!row.bookingId) errors.push('bookingId is required');
+    else if (existing.has(row.bookingId)) errors.push('bookingId already exists');
+    else if (seen.has(row.bookingId)) errors.push('bookingId is repeated in this file');
+    if (row.bookingId) seen.add(row.bookingId);
+    data.bookingId = row.bookingId;
+
+    if (row.bookingDate) {
+      const d = toDate(row, 'bookingDate', errors);
+      if (d) data.bookingDate = d.toISOString().slice(0, 10);
+    }
+
+    ['customerName', 'customerNumber', 'fromLocation', 'endLocation', 'paymentMode', 'tripAmountReceivedBy', 'fuelType', 'description']
+      .forEach((f) => { if (row[f] !== undefined) data[f] = row[f]; });
+    // spreadsheets carry fuel as text ("Petrol: 120, CNG: 80")
+    if (row.fuelAmount !== undefined) data.fuelEntries = parseLegacyFuel(row.fuelAmount, row.fuelType);
+    TRIP_NUMBER_FIELDS.forEach((f) => {
+      const n = toNumber(row, f, errors);
+      if (n !== undefined) data[f] = n;
+    });
+    data.startDate = toDate(row, 'startDate', errors);
+    data.endDate = toDate(row, 'endDate', errors);
+
+    // driver by email (or id), vehicle by number (or id)
+    if (row.driverEmail) {
+      const drv = driverByEmail.get(String(row.driverEmail).toLowerCase());
+      if (!drv) errors.push(`No driver with email ${row.driverEmail}`);
+      else Object.assign(data, { driverId: drv._id, driverName: drv.name, driverNumber: drv.phone });
+    } else if (row.driverId) {
+      const drv = await Driver.findById(row.driverId).catch(() => null);
+      if (!drv) errors.push('Invalid driverId');
+      else Object.assign(data, { driverId: drv._id, driverName: drv.name, driverNumber: drv.phone });
+    }
+    if (row.vehicleNumber) {
+      const veh = vehicleByNumber.get(String(row.vehicleNumber).toUpperCase().replace(/\s+/g, ''));
+      if (!veh) errors.push(`No vehicle with number ${row.vehicleNumber}`);
+      else Object.assign(data, { vehicleId: veh._id, vehicleType: veh.vehicleType, vehicleNumber: veh.vehicleNumber });
+    } else if (row.vehicleId) {
+      const veh = await Vehicle.findById(row.vehicleId).catch(() => null);
+      if (!veh) errors.push('Invalid vehicleId');
+      else Object.assign(data, { vehicleId: veh._id, vehicleType: veh.vehicleType, vehicleNumber: veh.vehicleNumber });
+    }
+
+    // historical trips are finished unless the file says otherwise
+    let status = row.status;
+    if (status !== undefined && !STATUSES.includes(status)) errors.push(`status must be one of ${STATUSES.join(', ')}`);
+    if (!status) {
+      const ended = (data.endDate && data.endDate < new Date()) || Number(data.endingReading || 0) > 0;
+      status = ended ? 'completed' : 'confirmed';
+    }
+    data.status = status;
+    if (status === 'completed') data.completedAt = data.endDate;
+    data.statusHistory = [{ to: status, at: new Date(), by: user.id, byRole: user.role, note: 'imported' }];
+    data.createdByRole = user.role;
+    data.createdBy = user.id;
+
+    const result = { row: lineOf(i), bookingId: row.bookingId, errors, imported: false };
+    if (!errors.length) {
+      try {
+        const trip = new Trip(mode === 'commit' ? await linkCustomer(data) : data);
+        if (mode === 'commit') {
+          await trip.save();
+          result.id = trip._id;
+          result.imported = true;
+          imported.push(trip.bookingId);
+        } else {
+          await trip.validate();
+        }
+      } catch (err) {
+        errors.push(...validationMessages(err));
+      }
+    }
+    results.push(result);
+  }
+
+  if (imported.length) await bumpBookingCounters(imported);
+  return summarize(mode, results);
+}
+
+module.exports = {
+  MODES,
+  parseMode,
+  parseCsv,
+  importVehicles,
+  importDrivers,
+  importTrips,
+};
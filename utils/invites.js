@@ -0,0 +1,64 @@
+// utils/invites.js
+const crypto = require('crypto');
+const AdminInvite = require('../models/AdminInvite');
+const { queueMessage } = require('./messageQueue');
+
+const INVITE_DAYS = Number(process.env.ADMIN_INVITE_DAYS || 7);
+const INVITE_URL = process.env.ADMIN_INVITE_URL; // e.g. https://app.example.com/accept-invite?token=
+
+function hash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/** Create an invite (replacing pending ones for the same email) and email the token */
+async function createInvite({ email, name, role }, invitedBy) {
+  email = String(email).toLowerCase().trim();
+  await AdminInvite.updateMany(
+    { email, acceptedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const invite = await AdminInvite.create({
+    email,
+    name,
+    role,
+    tokenHash: hash(token),
+    invitedBy,
+    expiresAt: new Date(Date.now() + INVITE_DAYS * 86400000),
+  });
+
+  const link = INVITE_URL ? `${INVITE_URL}${encodeURIComponent(token)}` : null;
+  await queueMessage({
+    channel: 'email',
+    to: email,
+    recipientType: 'staff',
+    sensitive: true,
+    requestedBy: invitedBy,
+    subject: 'You have been invited',
+    text: [
+      `Hi${name ? ` ${name}` : ''},`,
+      `You have been invited to join as ${role}.`,
+      link ? `Accept here: ${link}` : `Your invite code: ${token}`,
+      `The invite expires in ${INVITE_DAYS} days.`,
+    ].join('\n'),
+  });
+  return invite;
+}
+
+/** The pending invite a token belongs to, or null */
+async function findPendingInvite(token) {
+  if (!token) return null;
+  return AdminInvite.findOne({
+    tokenHash: hash(String(token)),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+}
+
+module.exports = {
+  INVITE_DAYS,
+  createInvite,
+  findPendingInvite,
+};
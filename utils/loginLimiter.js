@@ -0,0 +1,310 @@
+// utils/loginLimiter.js
+// Login throttling: attempts per IP and per account within a window, plus
+// progressive lockout after repeated failures. State lives in a pluggable
+// store; LOGIN_LIMIT_STORE=mongo shares it between instances.
+const RateLimit = require('../models/RateLimit');
+const LoginEvent = require('../models/LoginEvent');
+
+const MINUTE_MS = 60000;
+
+const WINDOW_MS = Number(process.env.LOGIN_RATE_WINDOW_MINUTES || 15) * MINUTE_MS;
+const MAX_PER_IP = Number(process.env.LOGIN_RATE_MAX_PER_IP || 30);
+const MAX_PER_ACCOUNT = Number(process.env.LOGIN_RATE_MAX_PER_ACCOUNT || 10);
+const MAX_RESETS_PER_IP = Number(process.env.RESET_RATE_MAX_PER_IP || 10);
+const MAX_RESETS_PER_ACCOUNT = Number(process.env.RESET_RATE_MAX_PER_ACCOUNT || 3);
+const LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 5);
+const LOCKOUT_BASE_MS = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15) * MINUTE_MS;
+const LOCKOUT_MAX_MS = Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES || 24 * 60) * MINUTE_MS;
+// how long failures and past lockouts are remembered, from the first failure
+const LOCKOUT_MEMORY_MS = Number(process.env.LOGIN_LOCKOUT_RESET_HOURS || 24) * 60 * MINUTE_MS;
+// the memory store drops its oldest entries past this many keys
+const MEMORY_STORE_MAX_KEYS = Number(process.env.LOGIN_LIMIT_MAX_KEYS || 100000);
+
+/**
+ * A store keeps expiring entries { count, data, expiresAt }:
+ *   increment(key, ttlMs) -> entry   count + 1, starting a new entry when expired
+ *   get(key)              -> entry | null
+ *   set(key, data, ttlMs)
+ *   delete(key)
+ */
+function memoryStore({ maxKeys = MEMORY_STORE_MAX_KEYS, sweepMs = MINUTE_MS } = {}) {
+  const entries = new Map();
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= new Date()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+  // re-inserting keeps the Map in last-written order, so the cap evicts the stalest
+  const put = (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > maxKeys) entries.delete(entries.keys().next().value);
+  };
+
+  const sweep = () => {
+    const now = new Date();
+    for (const [key, entry] of entries) if (entry.expiresAt <= now) entries.delete(key);
+  };
+  setInterval(sweep, sweepMs).unref();
+
+  return {
+    async increment(key, ttlMs) {
+      const entry = live(key) || { count: 0, data: null, expiresAt: new Date(Date.now() + ttlMs) };
+      entry.count += 1;
+      put(key, entry);
+      return { ...entry };
+    },
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+    async set(key, data, ttlMs) {
+      const entry = live(key) || { count: 0 };
+      put(key, { ...entry, data, expiresAt: new Date(Date.now() + ttlMs) });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    sweep,
+  };
+}
+
+function mongoStore() {
+  const pick = (doc) => (doc ? { count: doc.count, data: doc.data || null, expiresAt: doc.expiresAt } : null);
+
+  return {
+    async increment(key, ttlMs, retried = false) {
+      const now = new Date();
+      const doc = await RateLimit.findOneAndUpdate(
+        { key, expiresAt: { $gt: now } },
+        { $inc: { count: 1 } },
+        { new: true }
+      ).lean();
+      if (doc) return pick(doc);
+
+      // no live entry: start one (the TTL monitor may not have removed the old yet)
+      try {
+        return pick(await RateLimit.findOneAndUpdate(
+          { key, expiresAt: { $lte: now } },
+          { $set: { count: 1, data: null, expiresAt: new Date(now.getTime() + ttlMs) } },
+          { new: true, upsert: true }
+        ).lean());
+      } catch (err) {
+        // another instance created it first
+        if (err.code === 11000 && !retried) return this.increment(key, ttlMs, true);
+        throw err;
+      }
+    },
+    async get(key) {
+      return pick(await RateLimit.findOne({ key, expiresAt: { $gt: new Date() } }).lean());
+    },
+    async set(key, data, ttlMs) {
+      await RateLimit.updateOne(
+        { key },
+        { $set: { data, expiresAt: new Date(Date.now() + ttlMs) }, $setOnInsert: { count: 0 } },
+        { upsert: true }
+      );
+    },
+    async delete(key) {
+      await RateLimit.deleteOne({ key });
+    },
+  };
+}
+
+const stores = { memory: memoryStore, mongo: mongoStore };
+let store = null;
+
+/** Use a custom store, e.g. one backed by Redis */
+function setStore(custom) {
+  store = custom;
+}
+
+function getStore() {
+  if (!store) {
+    const name = process.env.LOGIN_LIMIT_STORE || 'memory';
+    if (!stores[name]) throw new Error(`Unknown LOGIN_LIMIT_STORE "${name}"`);
+    store = stores[name]();
+  }
+  return store;
+}
+
+const ipKey = (ip) => `login:ip:${ip}`;
+const accountKey = (email) => `login:account:${email}`;
+const lockKey = (email) => `login:lock:${email}`;
+const failureKey = (email) => `login:failures:${email}`;
+const resetIpKey = (ip) => `reset:ip:${ip}`;
+const resetAccountKey = (email) => `reset:account:${email}`;
+
+function normalizeEmail(email) {
+  return String(email || '').toLowerCase().trim();
+}
+
+function lockoutMs(lockouts) {
+  return Math.min(LOCKOUT_BASE_MS * 2 ** Math.max(0, lockouts - 1), LOCKOUT_MAX_MS);
+}
+
+function retryAfter(until) {
+  return Math.max(1, Math.ceil((new Date(until) - Date.now()) / 1000));
+}
+
+function refused(status, code, message, until) {
+  const err = new Error(message);
+  err.status = status;
+  err.retryAfter = retryAfter(until);
+  err.body = { message, code, retryAfter: err.retryAfter };
+  return err;
+}
+
+/** Save a refused login to the LoginEvent log */
+async function recordLoginEvent(req, email, reason, extra = {}) {
+  try {
+    await LoginEvent.create({
+      email: normalizeEmail(email),
+      reason,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      requestId: req.context && req.context.requestId,
+      ...extra,
+    });
+  } catch (err) {
+    console.error('Failed to record login event:', err.message);
+  }
+}
+
+/**
+ * Count this attempt and throw 429 (too many attempts) or 423 (account
+ * locked) when it may not go ahead. Call before checking the password.
+ */
+async function assertLoginAllowed(req, email) {
+  const s = getStore();
+  email = normalizeEmail(email);
+
+  const [ip, account] = await Promise.all([
+    s.increment(ipKey(req.ip), WINDOW_MS),
+    s.increment(accountKey(email), WINDOW_MS),
+  ]);
+  if (ip.count > MAX_PER_IP || account.count > MAX_PER_ACCOUNT) {
+    const until = ip.count > MAX_PER_IP ? ip.expiresAt : account.expiresAt;
+    await recordLoginEvent(req, email, 'rate_limited');
+    throw refused(429, 'RATE_LIMITED', 'Too many login attempts, please try again later', until);
+  }
+
+  const lock = await s.get(lockKey(email));
+  const lockedUntil = lock && lock.data && lock.data.lockedUntil;
+  if (lockedUntil && new Date(lockedUntil) > new Date()) {
+    await recordLoginEvent(req, email, 'locked', { lockedUntil });
+    throw refused(423, 'ACCOUNT_LOCKED', 'Account is temporarily locked after repeated failed logins', lockedUntil);
+  }
+}
+
+/**
+ * Count a password reset request and throw 429 when the IP or the address
+ * has asked too often, so the reset codes can't be used to flood an inbox.
+ */
+async function assertResetAllowed(req, email) {
+  const s = getStore();
+  email = normalizeEmail(email);
+
+  const [ip, account] = await Promise.all([
+    s.increment(resetIpKey(req.ip), WINDOW_MS),
+    s.increment(resetAccountKey(email), WINDOW_MS),
+  ]);
+  if (ip.count > MAX_RESETS_PER_IP || account.count > MAX_RESETS_PER_ACCOUNT) {
+    const until = ip.count > MAX_RESETS_PER_IP ? ip.expiresAt : account.expiresAt;
+    throw refused(429, 'RATE_LIMITED', 'Too many password reset requests, please try again later', until);
+  }
+}
+
+/**
+ * Note a wrong email/password. Every LOCKOUT_THRESHOLD failures in a row lock
+ * the account, each lockout twice as long as the one before. The counter is
+ * incremented atomically, so concurrent failures can't undercount.
+ */
+async function recordLoginFailure(req, email, reason, { user, role } = {}) {
+  const s = getStore();
+  email = normalizeEmail(email);
+
+  const failures = await s.increment(failureKey(email), LOCKOUT_MEMORY_MS);
+  let lockedUntil;
+  if (failures.count % LOCKOUT_THRESHOLD === 0) {
+    // only the attempt that reaches the threshold sets the lock
+    const lockouts = failures.count / LOCKOUT_THRESHOLD;
+    lockedUntil = new Date(Date.now() + lockoutMs(lockouts));
+    await s.set(lockKey(email), { lockouts, lockedUntil }, lockoutMs(lockouts));
+  }
+
+  await recordLoginEvent(req, email, reason, {
+    account: user && user._id,
+    role,
+    lockedUntil,
+  });
+}
+
+/** Successful login: forget earlier failures for the account */
+async function clearLoginFailures(email) {
+  email = normalizeEmail(email);
+  const s = getStore();
+  await Promise.all([s.delete(lockKey(email)), s.delete(failureKey(email)), s.delete(accountKey(email))]);
+}
+
+/** Current limiter state for an account and/or IP, for admins */
+async function loginStatus({ email, ip }) {
+  const s = getStore();
+  const result = {};
+  if (email) {
+    email = normalizeEmail(email);
+    const [lock, failures, attempts] = await Promise.all([
+      s.get(lockKey(email)),
+      s.get(failureKey(email)),
+      s.get(accountKey(email)),
+    ]);
+    const state = (lock && lock.data) || {};
+    const failed = failures ? failures.count : 0;
+    const locked = Boolean(state.lockedUntil && new Date(state.lockedUntil) > new Date());
+    result.account = {
+      email,
+      locked,
+      lockedUntil: locked ? state.lockedUntil : null,
+      failures: failed % LOCKOUT_THRESHOLD,
+      lockouts: Math.floor(failed / LOCKOUT_THRESHOLD),
+      attempts: attempts ? attempts.count : 0,
+      limit: MAX_PER_ACCOUNT,
+    };
+  }
+  if (ip) {
+    const attempts = await s.get(ipKey(ip));
+    result.ip = {
+      ip,
+      attempts: attempts ? attempts.count : 0,
+      limit: MAX_PER_IP,
+      resetAt: attempts ? attempts.expiresAt : null,
+    };
+  }
+  return result;
+}
+
+/** Lift a lockout / rate limit for an account and/or IP */
+async function unlockLogin({ email, ip }) {
+  const s = getStore();
+  const jobs = [];
+  if (email) jobs.push(clearLoginFailures(email));
+  if (ip) jobs.push(s.delete(ipKey(ip)));
+  await Promise.all(jobs);
+}
+
+module.exports = {
+  memoryStore,
+  mongoStore,
+  setStore,
+  normalizeEmail,
+  recordLoginEvent,
+  assertLoginAllowed,
+  assertResetAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  loginStatus,
+  unlockLogin,
+};
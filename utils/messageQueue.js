@@ -0,0 +1,158 @@
+// utils/messageQueue.js
+// Every outgoing message is stored first and sent by the worker, which
+// retries failed sends with a growing delay. The stored messages double as
+// the delivery log.
+const Message = require('../models/Message');
+const { CHANNELS, deliver } = require('./sender');
+const { currentContext } = require('./requestContext');
+const { httpError } = require('./errors');
+
+const MAX_ATTEMPTS = Number(process.env.MESSAGE_MAX_ATTEMPTS || 5);
+// delay before the first retry; doubles after each failed attempt
+const RETRY_SECONDS = Number(process.env.MESSAGE_RETRY_SECONDS || 60);
+const POLL_SECONDS = Number(process.env.MESSAGE_QUEUE_POLL_SECONDS || 30);
+// a send that hasn't finished in this long is assumed lost (e.g. a restart)
+const LOCK_MINUTES = 5;
+const REDACTED = '[redacted]';
+
+/**
+ * Store a message for sending: { channel, to, subject, text } plus optional
+ * trip, event, language, recipientType, recipient, trigger, requestedBy,
+ * requestedByRole and sensitive. Returns the stored message.
+ */
+async function queueMessage({ channel, to, ...rest }) {
+  if (!CHANNELS.includes(channel)) throw httpError(400, `channel must be one of ${CHANNELS.join(', ')}`);
+  if (!to) throw httpError(400, `No ${channel} address to send to`, 'NO_RECIPIENT_ADDRESS');
+
+  const context = currentContext();
+  const message = await Message.create({
+    channel,
+    to,
+    maxAttempts: MAX_ATTEMPTS,
+    requestId: context ? context.requestId : undefined,
+    ...rest,
+  });
+  setImmediate(runQueue);
+  return message;
+}
+
+/** Take the next due message, or one whose send was interrupted */
+function claimNext() {
+  const now = new Date();
+  return Message.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - LOCK_MINUTES * 60000) } },
+      ],
+    },
+    { $set: { status: 'sending', lockedAt: now } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+/** Try to send one claimed message and record the outcome */
+async function attempt(message) {
+  message.attempts += 1;
+  try {
+    const result = await deliver(message);
+    message.status = 'sent';
+    message.sentAt = new Date();
+    message.provider = result.provider;
+    message.providerMessageId = result.id;
+    message.lastError = undefined;
+    message.deliveries.push({ provider: result.provider, ok: true, providerMessageId: result.id });
+  } catch (err) {
+    const retry = err.retryable !== false && message.attempts < message.maxAttempts;
+    message.status = retry ? 'queued' : 'failed';
+    if (retry) message.nextAttemptAt = new Date(Date.now() + RETRY_SECONDS * 1000 * 2 ** (message.attempts - 1));
+    message.lastError = err.message;
+    message.deliveries.push({ provider: err.provider, ok: false, error: err.message });
+  }
+  message.lockedAt = undefined;
+  if (message.sensitive && message.status !== 'queued') message.text = REDACTED;
+  await message.save();
+  return message;
+}
+
+let running = false;
+let again = false;
+
+/** Send everything that is due; returns how many messages were attempted */
+async function processQueue({ limit = 100 } = {}) {
+  if (running) {
+    again = true; // pick up messages queued while this run is busy
+    return 0;
+  }
+  running = true;
+  let attempted = 0;
+  try {
+    do {
+      again = false;
+      let message;
+      while (attempted < limit && (message = await claimNext())) {
+        await attempt(message);
+        attempted += 1;
+      }
+    } while (again && attempted < limit);
+  } finally {
+    running = false;
+  }
+  return attempted;
+}
+
+// background run; failures are logged and retried on the next poll
+function runQueue() {
+  processQueue().catch((err) => console.error('[messages] queue run failed:', err));
+}
+
+/** Poll for due messages every MESSAGE_QUEUE_POLL_SECONDS */
+function startMessageWorker() {
+  const timer = setInterval(runQueue, POLL_SECONDS * 1000);
+  timer.unref();
+  runQueue();
+  return timer;
+}
+
+/** Put a failed or cancelled message back in the queue with a fresh set of attempts */
+async function retryMessage(id) {
+  const message = await Message.findById(id);
+  if (!message) throw httpError(404, 'Message not found');
+  if (!['failed', 'cancelled'].includes(message.status)) {
+    throw httpError(409, `Only failed or cancelled messages can be retried, this one is ${message.status}`);
+  }
+  if (message.text === REDACTED) throw httpError(409, 'This message was redacted and cannot be sent again');
+
+  message.status = 'queued';
+  message.nextAttemptAt = new Date();
+  message.maxAttempts = message.attempts + MAX_ATTEMPTS;
+  await message.save();
+  setImmediate(runQueue);
+  return message;
+}
+
+/** Stop a message the worker hasn't picked up yet */
+async function cancelMessage(id) {
+  // conditional update, so a message the worker is sending can't be cancelled
+  const message = await Message.findOneAndUpdate({ _id: id, status: 'queued' }, { $set: { status: 'cancelled' } }, { new: true });
+  if (!message) {
+    const existing = await Message.findById(id).select('status');
+    if (!existing) throw httpError(404, 'Message not found');
+    throw httpError(409, `Only queued messages can be cancelled, this one is ${existing.status}`);
+  }
+  if (message.sensitive) {
+    message.text = REDACTED;
+    await message.save();
+  }
+  return message;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  REDACTED,
+  queueMessage,
+  processQueue,
+  startMessageWorker,
+  retryMessage,
+  cancelMessage,
+};
@@ -0,0 +1,176 @@
+// utils/odometer.js
+// Odometer readings must only go up per vehicle, across trips and maintenance.
+const mongoose = require('mongoose');
+const Trip = require('../models/trips');
+const Maintenance = require('../models/Maintenance');
+const { VOID_STATUSES } = require('./tripStatus');
+const { dateRange } = require('./tripHelpers');
+
+// km between consecutive records that is still treated as "accounted for"
+const GAP_TOLERANCE_KM = Number(process.env.ODOMETER_GAP_TOLERANCE_KM || 5);
+
+/** Distance from a trip's readings, 0 when they are missing or inconsistent */
+const distanceExpr = {
+  $cond: [
+    { $and: [{ $gt: ['$startingReading', 0] }, { $gt: ['$endingReading', '$startingReading'] }] },
+    { $subtract: ['$endingReading', '$startingReading'] },
+    0,
+  ],
+};
+
+function toId(value) {
+  return value instanceof mongoose.Types.ObjectId ? value : new mongoose.Types.ObjectId(String(value));
+}
+
+function liveTrips(vehicleId, excludeTripId) {
+  const match = { vehicleId: toId(vehicleId), isDriverDeleted: { $ne: true }, status: { $nin: VOID_STATUSES } };
+  if (excludeTripId) match._id = { $ne: toId(excludeTripId) };
+  return match;
+}
+
+function maintenanceFor(vehicleId, excludeMaintenanceId) {
+  const match = { vehicle: toId(vehicleId) };
+  if (excludeMaintenanceId) match._id = { $ne: toId(excludeMaintenanceId) };
+  return match;
+}
+
+/** Highest reading recorded before `date` and lowest reading recorded after it */
+async function readingsAround(vehicleId, date, { excludeTripId, excludeMaintenanceId } = {}) {
+  const [tripBefore, tripAfter, mBefore, mAfter] = await Promise.all([
+    Trip.findOne({ ...liveTrips(vehicleId, excludeTripId), startDate: { $lt: date }, endingReading: { $gt: 0 } })
+      .sort({ endingReading: -1 }).select('bookingId endingReading startDate').lean(),
+    Trip.findOne({ ...liveTrips(vehicleId, excludeTripId), startDate: { $gt: date }, startingReading: { $gt: 0 } })
+      .sort({ startingReading: 1 }).select('bookingId startingReading startDate').lean(),
+    Maintenance.findOne({ ...maintenanceFor(vehicleId, excludeMaintenanceId), date: { $lte: date } })
+      .sort({ kmAtMaintenance: -1 }).select('kmAtMaintenance date maintenanceType').lean(),
+    Maintenance.findOne({ ...maintenanceFor(vehicleId, excludeMaintenanceId), date: { $gt: date } })
+      .sort({ kmAtMaintenance: 1 }).select('kmAtMaintenance date maintenanceType').lean(),
+  ]);
+
+  const candidatesBefore = [];
+  if (tripBefore) candidatesBefore.push({ reading: tripBefore.endingReading, source: 'trip', bookingId: tripBefore.bookingId, date: tripBefore.startDate });
+  if (mBefore) candidatesBefore.push({ reading: mBefore.kmAtMaintenance, source: 'maintenance', maintenanceId: mBefore._id, date: mBefore.date });
+
+  const candidatesAfter = [];
+  if (tripAfter) candidatesAfter.push({ reading: tripAfter.startingReading, source: 'trip', bookingId: tripAfter.bookingId, date: tripAfter.startDate });
+  if (mAfter) candidatesAfter.push({ reading: mAfter.kmAtMaintenance, source: 'maintenance', maintenanceId: mAfter._id, date: mAfter.date });
+
+  return {
+    before: candidatesBefore.sort((a, b) => b.reading - a.reading)[0] || null,
+    after: candidatesAfter.sort((a, b) => a.reading - b.reading)[0] || null,
+  };
+}
+
+function describe(ref) {
+  return ref.source === 'trip' ? `trip ${ref.bookingId}` : 'a maintenance record';
+}
+
+/**
+ * Throws a 400 when readings go backwards, either within the record
+ * (end below start) or against the vehicle's earlier/later records.
+ * Readings of 0 mean "not recorded" and are not checked.
+ */
+async function assertOdometer({ vehicleId, date, start = 0, end = 0, excludeTripId, excludeMaintenanceId }) {
+  const errors = [];
+  start = Number(start || 0);
+  end = Number(end || 0);
+
+  if (start > 0 && end > 0 && end < start) errors.push(`endingReading ${end} is below startingReading ${start}`);
+
+  let around = { before: null, after: null };
+  if (vehicleId && (start > 0 || end > 0)) {
+    around = await readingsAround(vehicleId, date ? new Date(date) : new Date(), { excludeTripId, excludeMaintenanceId });
+    const first = start > 0 ? start : end;
+    const last = end > 0 ? end : start;
+    if (around.before && first < around.before.reading) {
+      errors.push(`Reading ${first} is below ${around.before.reading} recorded on ${describe(around.before)}`);
+    }
+    if (around.after && last > around.after.reading) {
+      errors.push(`Reading ${last} is above ${around.after.reading} recorded later on ${describe(around.after)}`);
+    }
+  }
+
+  if (errors.length) {
+    const err = new Error(errors[0]);
+    err.status = 400;
+    err.body = {
+      message: errors[0],
+      code: 'ODOMETER_INVALID',
+      errors,
+      lastReading: around.before,
+      nextReading: around.after,
+    };
+    throw err;
+  }
+}
+
+/**
+ * Trips and maintenance for one vehicle in odometer order, with the km
+ * between each record and the previous one that no trip accounts for.
+ */
+async function buildOdometerTimeline(vehicleId, { from, to } = {}) {
+  const tripMatch = liveTrips(vehicleId);
+  const maintenanceMatch = maintenanceFor(vehicleId);
+  if (from || to) {
+    tripMatch.startDate = dateRange(from, to);
+    maintenanceMatch.date = dateRange(from, to);
+  }
+
+  const [trips, maintenance] = await Promise.all([
+    Trip.find({ ...tripMatch, startingReading: { $gt: 0 } })
+      .select('bookingId startDate endDate startingReading endingReading tripAmount driverName status').lean(),
+    Maintenance.find(maintenanceMatch).select('date maintenanceType kmAtMaintenance maintenanceCost').lean(),
+  ]);
+
+  const records = [
+    ...trips.map((t) => ({
+      type: 'trip',
+      id: t._id,
+      bookingId: t.bookingId,
+      date: t.startDate,
+      driverName: t.driverName,
+      status: t.status,
+      startReading: t.startingReading,
+      endReading: t.endingReading > t.startingReading ? t.endingReading : t.startingReading,
+      distanceKm: t.endingReading > t.startingReading ? t.endingReading - t.startingReading : 0,
+    })),
+    ...maintenance.map((m) => ({
+      type: 'maintenance',
+      id: m._id,
+      maintenanceType: m.maintenanceType,
+      date: m.date,
+      startReading: m.kmAtMaintenance,
+      endReading: m.kmAtMaintenance,
+      distanceKm: 0,
+    })),
+  ].sort((a, b) => a.startReading - b.startReading || new Date(a.date) - new Date(b.date));
+
+  let last = null;
+  let unaccountedKm = 0;
+  let tripKm = 0;
+  records.forEach((r) => {
+    r.gapKm = last === null ? 0 : Math.max(0, r.startReading - last);
+    r.flagged = r.gapKm > GAP_TOLERANCE_KM;
+    if (r.flagged) unaccountedKm += r.gapKm;
+    tripKm += r.distanceKm;
+    last = Math.max(last || 0, r.endReading);
+  });
+
+  return {
+    vehicleId,
+    gapToleranceKm: GAP_TOLERANCE_KM,
+    firstReading: records.length ? records[0].startReading : null,
+    lastReading: last,
+    tripKm,
+    unaccountedKm,
+    records,
+  };
+}
+
+module.exports = {
+  GAP_TOLERANCE_KM,
+  distanceExpr,
+  readingsAround,
+  assertOdometer,
+  buildOdometerTimeline,
+};
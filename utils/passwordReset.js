@@ -0,0 +1,73 @@
+// utils/passwordReset.js
+const crypto = require('crypto');
+const PasswordReset = require('../models/PasswordReset');
+const { queueMessage } = require('./messageQueue');
+const { toE164 } = require('./phone');
+
+const RESET_TOKEN_MINUTES = Number(process.env.RESET_TOKEN_MINUTES || 30);
+const RESET_URL = process.env.PASSWORD_RESET_URL; // e.g. https://app.example.com/reset-password?token=
+
+function hash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/** Where to send the token: the requested channel if the user has an address for it */
+function destination(user, channel) {
+  if (channel === 'sms' || channel === 'whatsapp') {
+    const phone = toE164(user.phone);
+    return phone ? { channel, to: phone } : null;
+  }
+  return user.email ? { channel: 'email', to: user.email } : null;
+}
+
+/**
+ * Issue a new reset token (older unused ones stop working) and send it.
+ * Returns false when the user has no address on the requested channel.
+ */
+async function sendResetToken(user, role, channel, req) {
+  const target = destination(user, channel);
+  if (!target) return false;
+
+  await PasswordReset.updateMany({ user: user._id, usedAt: null }, { $set: { usedAt: new Date() } });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await PasswordReset.create({
+    user: user._id,
+    role,
+    tokenHash: hash(token),
+    channel: target.channel,
+    expiresAt: new Date(Date.now() + RESET_TOKEN_MINUTES * 60000),
+    ip: req.ip,
+  });
+
+  const link = RESET_URL ? `${RESET_URL}${encodeURIComponent(token)}` : null;
+  await queueMessage({
+    ...target,
+    recipientType: role === 'driver' ? 'driver' : 'staff',
+    recipient: user._id,
+    sensitive: true,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.name},`,
+      link ? `Reset your password here: ${link}` : `Your password reset code: ${token}`,
+      `It expires in ${RESET_TOKEN_MINUTES} minutes. If you did not ask for this, ignore this message.`,
+    ].join('\n'),
+  });
+  return true;
+}
+
+/** Mark a reset token used and return { user, role }, or null if it is invalid */
+async function consumeResetToken(token) {
+  if (!token) return null;
+  const reset = await PasswordReset.findOneAndUpdate(
+    { tokenHash: hash(String(token)), usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } }
+  );
+  return reset ? { user: reset.user, role: reset.role } : null;
+}
+
+module.exports = {
+  RESET_TOKEN_MINUTES,
+  sendResetToken,
+  consumeResetToken,
+};
@@ -0,0 +1,74 @@
+// utils/permissions.js
+// Who may do what. Staff accounts (the Admin model) carry one of
+// STAFF_ROLES; drivers get the "driver" set, whose ":own" permissions are
+// scoped to their own records by the routes.
+
+const STAFF_ROLES = ['owner', 'admin', 'dispatcher', 'accountant'];
+
+const STAFF_PERMISSIONS = [
+  'trips:read', 'trips:write', 'trips:assign', 'trips:delete',
+  'payments:read', 'payments:write', 'payments:adjust', 'profit:read', 'reports:read',
+  'customers:read', 'customers:write',
+  'drivers:read', 'drivers:write',
+  'vehicles:read', 'vehicles:write',
+  'maintenance:read', 'maintenance:write',
+  'ads:read', 'ads:write',
+  'settlements:manage', 'imports:run', 'audit:read', 'staff:manage',
+  'templates:manage', 'messages:manage',
+];
+
+const ROLE_PERMISSIONS = {
+  owner: STAFF_PERMISSIONS,
+  admin: STAFF_PERMISSIONS,
+  // bookings and fleet, no money beyond the fare
+  dispatcher: [
+    'trips:read', 'trips:write', 'trips:assign',
+    'customers:read', 'customers:write',
+    'drivers:read', 'vehicles:read', 'vehicles:write',
+    'maintenance:read', 'maintenance:write',
+  ],
+  // money and reports, but cannot delete or dispatch trips
+  accountant: [
+    'trips:read',
+    'payments:read', 'payments:write', 'payments:adjust', 'profit:read', 'reports:read',
+    'customers:read', 'drivers:read', 'vehicles:read', 'maintenance:read',
+    'ads:read', 'ads:write', 'settlements:manage', 'audit:read',
+  ],
+  driver: [
+    'trips:read:own', 'trips:write:own', 'trips:delete:own',
+    'payments:read:own', 'payments:write:own', 'profit:read', 'reports:read:own',
+    'vehicles:read', 'maintenance:read:own', 'maintenance:write:own', 'self:driver',
+  ],
+};
+
+// trip fields only shown to holders of profit:read
+const PROFIT_FIELDS = ['profit'];
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/** True when the user holds any of the permissions */
+function can(user, ...permissions) {
+  const held = (user && user.permissions) || [];
+  return permissions.some((p) => held.includes(p));
+}
+
+/** Plain trip object(s) with profit fields removed for users without profit:read */
+function visibleTrip(user, trip) {
+  if (Array.isArray(trip)) return trip.map((t) => visibleTrip(user, t));
+  const obj = trip && typeof trip.toJSON === 'function' ? trip.toJSON() : trip;
+  if (!obj || can(user, 'profit:read')) return obj;
+  const out = { ...obj };
+  PROFIT_FIELDS.forEach((field) => delete out[field]);
+  return out;
+}
+
+module.exports = {
+  STAFF_ROLES,
+  STAFF_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  permissionsFor,
+  can,
+  visibleTrip,
+};
@@ -0,0 +1,22 @@
+// utils/phone.js
+
+/**
+ * Normalize an Indian mobile number to its 10 digits.
+ * Accepts "+91 98765 43210", "098765-43210", "919876543210", ...
+ * Returns null when it isn't a valid Indian mobile number.
+ */
+function normalizeIndianPhone(input) {
+  if (input === undefined || input === null) return null;
+  let digits = String(input).replace(/\D/g, '');
+  if (digits.length === 12 && digits.startsWith('91')) digits = digits.slice(2);
+  else if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+  return /^[6-9]\d{9}$/.test(digits) ? digits : null;
+}
+
+/** "+919876543210" for APIs that want the country code */
+function toE164(input) {
+  const phone = normalizeIndianPhone(input);
+  return phone ? `+91${phone}` : null;
+}
+
+module.exports = { normalizeIndianPhone, toE164 };
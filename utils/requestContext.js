@@ -0,0 +1,42 @@
+// utils/requestContext.js
+// Per-request context (request id, ip, signed-in user) reachable from code
+// that never sees `req`, such as model hooks.
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+function requestContext(req, res, next) {
+  const context = {
+    requestId: req.get('X-Request-Id') || crypto.randomUUID(),
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    method: req.method,
+    path: req.originalUrl,
+    user: null, // filled in by authMiddleware
+  };
+  req.context = context;
+  res.set('X-Request-Id', context.requestId);
+  storage.run(context, next);
+}
+
+function currentContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Body parsers (multer, express.text) call next from stream events, which
+ * loses the async context; re-enter it before handing on.
+ */
+function bindContext(middleware) {
+  return (req, res, next) => middleware(req, res, (err) => {
+    if (!req.context) return next(err);
+    storage.run(req.context, () => next(err));
+  });
+}
+
+module.exports = {
+  requestContext,
+  currentContext,
+  bindContext,
+};
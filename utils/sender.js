@@ -0,0 +1,239 @@
+// utils/sender.js
+// Providers that deliver one message (email / SMS / WhatsApp). Nothing
+// calls them directly: messages go through the queue in utils/messageQueue.js,
+// which retries and keeps the delivery log.
+//
+// MESSAGE_SENDER picks the provider for every channel, EMAIL_SENDER,
+// SMS_SENDER and WHATSAPP_SENDER override it per channel. "outbox" writes
+// each message to OUTBOX_DIR and "console" prints it; both are for
+// development and tests, and outbox is the default only outside production.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeIndianPhone, toE164 } = require('./phone');
+
+const CHANNELS = ['email', 'sms', 'whatsapp'];
+const OUTBOX_DIR = path.resolve(process.env.OUTBOX_DIR || 'outbox');
+const HTTP_TIMEOUT_MS = Number(process.env.MESSAGE_HTTP_TIMEOUT_SECONDS || 15) * 1000;
+
+const senders = {};
+
+/**
+ * sender: { channels: [...], send({ channel, to, subject, text, event, language, templateParams }) -> Promise<{ id }> }
+ * Errors with `retryable: false` are not tried again.
+ */
+function registerSender(name, sender) {
+  senders[name] = { channels: CHANNELS, ...sender };
+}
+
+/** An error the queue gives up on straight away (bad config, bad address) */
+function permanentError(message) {
+  const err = new Error(message);
+  err.retryable = false;
+  return err;
+}
+
+const localId = () => `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+/** POST to a provider; network errors, 429 and 5xx are retryable, other failures are not */
+async function post(name, url, { headers, body }) {
+  let res;
+  try {
+    res = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  } catch (err) {
+    throw new Error(`${name} request failed: ${err.message}`);
+  }
+  const raw = await res.text();
+  let data = null;
+  try {
+    data = raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    data = raw;
+  }
+  if (!res.ok) {
+    const detail = (data && data.error && (data.error.message || data.error)) || (data && data.message) || raw;
+    const err = new Error(`${name} responded ${res.status}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+    err.retryable = res.status === 429 || res.status >= 500;
+    throw err;
+  }
+  return { data, headers: res.headers };
+}
+
+function requireEnv(provider, ...names) {
+  const missing = names.filter((name) => !process.env[name]);
+  if (missing.length) throw permanentError(`${provider} is not configured: set ${missing.join(', ')}`);
+  return names.map((name) => process.env[name]);
+}
+
+registerSender('outbox', {
+  async send(message) {
+    await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+    const id = localId();
+    const file = path.join(OUTBOX_DIR, `${id}-${message.channel}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ ...message, at: new Date() }, null, 2));
+    return { id, file };
+  },
+});
+
+registerSender('console', {
+  async send({ channel, to, subject, text }) {
+    console.log(`[console] ${channel} to ${to}${subject ? ` - ${subject}` : ''}\n${text}`);
+    return { id: localId() };
+  },
+});
+
+/**
+ * Templates approved in WhatsApp Manager, per event and language, from
+ * WHATSAPP_TEMPLATES:
+ *   {"driver_assignment":{"en":{"name":"driver_assignment","params":["trip.bookingId","trip.startDate|datetime"]}}}
+ * `params` fills the approved template's {{1}}, {{2}}... with placeholders
+ * from the trip. It is kept apart from the admin-editable wording, which may
+ * change without the approved template changing with it.
+ */
+const WHATSAPP_TEMPLATES = (() => {
+  let config;
+  try {
+    config = JSON.parse(process.env.WHATSAPP_TEMPLATES || '{}');
+  } catch (err) {
+    throw new Error(`WHATSAPP_TEMPLATES is not valid JSON: ${err.message}`);
+  }
+  Object.entries(config).forEach(([event, languages]) => {
+    Object.entries(languages || {}).forEach(([language, template]) => {
+      if (!template || typeof template.name !== 'string' || (template.params !== undefined && !Array.isArray(template.params))) {
+        throw new Error(`WHATSAPP_TEMPLATES.${event}.${language} needs a "name" and a "params" list`);
+      }
+    });
+  });
+  return config;
+})();
+
+/** { name, params } of the approved WhatsApp template for event + language, or null */
+function whatsappTemplate(event, language) {
+  const template = (WHATSAPP_TEMPLATES[event] || {})[language];
+  return template ? { name: template.name, params: template.params || [] } : null;
+}
+
+// WhatsApp doesn't allow line breaks, tabs or long runs of spaces in a
+// parameter, nor an empty one
+const templateParam = (value) => String(value).replace(/\s+/g, ' ').trim() || '-';
+
+/**
+ * Body of a WhatsApp send. Trip messages go out as their approved template,
+ * with the parameter values rendered when they were queued. Free-form text
+ * is only delivered inside the 24-hour window after the recipient last wrote
+ * to the business number, so it is used just for messages without an event
+ * (reset codes, invites).
+ */
+function whatsappContent({ text, event, language, templateParams }) {
+  if (!event) return { type: 'text', text: { preview_url: false, body: text } };
+
+  const template = whatsappTemplate(event, language);
+  if (!template) throw permanentError(`No approved WhatsApp template for ${event} (${language}); add it to WHATSAPP_TEMPLATES`);
+  const values = templateParams || [];
+  if (values.length !== template.params.length) {
+    throw permanentError(`Queued with ${values.length} template parameters, ${template.name} takes ${template.params.length}`);
+  }
+  const parameters = values.map((value) => ({ type: 'text', text: templateParam(value) }));
+  return {
+    type: 'template',
+    template: {
+      name: template.name,
+      language: { code: language },
+      components: parameters.length ? [{ type: 'body', parameters }] : [],
+    },
+  };
+}
+
+// WhatsApp Business Cloud API
+registerSender('whatsapp_cloud', {
+  channels: ['whatsapp'],
+  async send(message) {
+    const [phoneNumberId, token] = requireEnv('whatsapp_cloud', 'WHATSAPP_PHONE_NUMBER_ID', 'WHATSAPP_ACCESS_TOKEN');
+    const phone = normalizeIndianPhone(message.to);
+    if (!phone) throw permanentError(`Invalid WhatsApp number "${message.to}"`);
+
+    const version = process.env.WHATSAPP_API_VERSION || 'v19.0';
+    const { data } = await post('WhatsApp', `https://graph.facebook.com/${version}/${phoneNumberId}/messages`, {
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: `91${phone}`,
+        ...whatsappContent(message),
+      }),
+    });
+    return { id: data && data.messages && data.messages[0] && data.messages[0].id };
+  },
+});
+
+// SMS through Twilio's Messages API
+registerSender('twilio', {
+  channels: ['sms'],
+  async send({ to, text }) {
+    const [sid, token, from] = requireEnv('twilio', 'TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_FROM');
+    const phone = toE164(to);
+    if (!phone) throw permanentError(`Invalid mobile number "${to}"`);
+
+    const { data } = await post('Twilio', `https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, {
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${sid}:${token}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({ To: phone, From: from, Body: text }).toString(),
+    });
+    return { id: data && data.sid };
+  },
+});
+
+// Email through SendGrid's v3 mail API
+registerSender('sendgrid', {
+  channels: ['email'],
+  async send({ to, subject, text }) {
+    const [apiKey, from] = requireEnv('sendgrid', 'SENDGRID_API_KEY', 'EMAIL_FROM');
+    const { headers } = await post('SendGrid', 'https://api.sendgrid.com/v3/mail/send', {
+      headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        personalizations: [{ to: [{ email: to }] }],
+        from: { email: from, name: process.env.EMAIL_FROM_NAME || process.env.COMPANY_NAME || undefined },
+        subject: subject || '(no subject)',
+        content: [{ type: 'text/plain', value: text }],
+      }),
+    });
+    return { id: headers.get('x-message-id') };
+  },
+});
+
+/** Name of the provider configured for a channel */
+function senderFor(channel) {
+  const name = process.env[`${channel.toUpperCase()}_SENDER`] || process.env.MESSAGE_SENDER
+    || (process.env.NODE_ENV === 'production' ? null : 'outbox');
+  if (!name) throw permanentError(`No sender configured for ${channel}`);
+  const sender = senders[name];
+  if (!sender) throw permanentError(`Unknown sender "${name}" for ${channel}`);
+  if (!sender.channels.includes(channel)) throw permanentError(`Sender "${name}" cannot send ${channel}`);
+  return name;
+}
+
+/** Hand one message to its channel's provider: { provider, id } */
+async function deliver({ channel, to, subject, text, event, language, templateParams }) {
+  if (!CHANNELS.includes(channel)) throw permanentError(`Unknown channel "${channel}"`);
+  if (!to) throw permanentError(`No ${channel} address to send to`);
+  const provider = senderFor(channel);
+  try {
+    const result = await senders[provider].send({ channel, to, subject, text, event, language, templateParams });
+    return { provider, ...result };
+  } catch (err) {
+    err.provider = provider;
+    throw err;
+  }
+}
+
+module.exports = {
+  CHANNELS,
+  OUTBOX_DIR,
+  registerSender,
+  permanentError,
+  senderFor,
+  whatsappTemplate,
+  deliver,
+};
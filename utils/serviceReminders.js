@@ -0,0 +1,185 @@
+// utils/serviceReminders.js
+// Works out which vehicles are due or overdue for service from the latest
+// odometer reading (trips + maintenance) and the last matching maintenance.
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const Trip = require('../models/trips');
+const Maintenance = require('../models/Maintenance');
+const ServiceSchedule = require('../models/ServiceSchedule');
+
+const { SERVICE_TYPES } = ServiceSchedule;
+
+const DEFAULT_INTERVALS = {
+  oil_change: { intervalKm: 10000, intervalDays: 180 },
+  tyres: { intervalKm: 40000, intervalDays: 730 },
+  brakes: { intervalKm: 20000, intervalDays: 365 },
+  general_service: { intervalKm: 10000, intervalDays: 365 },
+};
+
+// how early a service counts as "due"
+const DUE_SOON_KM = Number(process.env.SERVICE_DUE_SOON_KM || 500);
+const DUE_SOON_DAYS = Number(process.env.SERVICE_DUE_SOON_DAYS || 15);
+
+const DAY_MS = 86400000;
+
+/** Best guess of the service type for older records that only have free text */
+function serviceTypeOf(maintenance) {
+  if (maintenance.serviceType) return maintenance.serviceType;
+  const text = String(maintenance.maintenanceType || '').toLowerCase();
+  if (/oil/.test(text)) return 'oil_change';
+  if (/tyre|tire/.test(text)) return 'tyres';
+  if (/brake/.test(text)) return 'brakes';
+  if (/service/.test(text)) return 'general_service';
+  return null;
+}
+
+const positive = (field) => ({ $cond: [{ $gt: [field, 0] }, field, null] }); // $min/$max skip nulls
+
+/** vehicleId -> { first, last } odometer readings seen on any trip or maintenance */
+async function odometerRange(vehicleIds) {
+  const ids = vehicleIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+  const [trips, maintenance] = await Promise.all([
+    Trip.aggregate([
+      { $match: { vehicleId: { $in: ids }, isDriverDeleted: { $ne: true } } },
+      {
+        $group: {
+          _id: '$vehicleId',
+          first: { $min: { $min: [positive('$startingReading'), positive('$endingReading')] } },
+          last: { $max: { $max: [{ $ifNull: ['$startingReading', 0] }, { $ifNull: ['$endingReading', 0] }] } },
+        },
+      },
+    ]),
+    Maintenance.aggregate([
+      { $match: { vehicle: { $in: ids } } },
+      { $group: { _id: '$vehicle', first: { $min: positive('$kmAtMaintenance') }, last: { $max: '$kmAtMaintenance' } } },
+    ]),
+  ]);
+
+  const ranges = new Map();
+  [...trips, ...maintenance].forEach((r) => {
+    const key = String(r._id);
+    const range = ranges.get(key) || { first: null, last: 0 };
+    if (r.first && (range.first === null || r.first < range.first)) range.first = r.first;
+    range.last = Math.max(range.last, r.last || 0);
+    ranges.set(key, range);
+  });
+  return ranges;
+}
+
+function statusOf(kmRemaining, daysRemaining) {
+  if ((kmRemaining !== null && kmRemaining <= 0) || (daysRemaining !== null && daysRemaining <= 0)) return 'overdue';
+  if ((kmRemaining !== null && kmRemaining <= DUE_SOON_KM) || (daysRemaining !== null && daysRemaining <= DUE_SOON_DAYS)) return 'due';
+  return 'ok';
+}
+
+/**
+ * Service status for every vehicle (or the given ones) and service type.
+ * Each row: vehicle, serviceType, interval, last service, due km/date,
+ * km/days remaining and status ok | due | overdue | no_record.
+ * Without a service record the interval runs from the vehicle's first
+ * odometer reading and the date it was added (measuredFrom: first_use).
+ */
+async function computeServiceStatus({ vehicleIds, now = new Date() } = {}) {
+  const vehicleQuery = vehicleIds ? { _id: { $in: vehicleIds } } : {};
+  const vehicles = await Vehicle.find(vehicleQuery).select('vehicleNumber vehicleType createdAt').lean();
+  if (!vehicles.length) return [];
+  const ids = vehicles.map((v) => v._id);
+
+  const [readings, schedules, records] = await Promise.all([
+    odometerRange(ids),
+    ServiceSchedule.find({ vehicle: { $in: ids } }).lean(),
+    Maintenance.find({ vehicle: { $in: ids } })
+      .select('vehicle date maintenanceType serviceType kmAtMaintenance nextOilChangeKm')
+      .sort({ date: -1, kmAtMaintenance: -1 })
+      .lean(),
+  ]);
+
+  const scheduleFor = new Map(schedules.map((s) => [`${s.vehicle}:${s.serviceType}`, s]));
+  const lastService = new Map();
+  records.forEach((m) => {
+    const type = serviceTypeOf(m);
+    const key = `${m.vehicle}:${type}`;
+    if (type && !lastService.has(key)) lastService.set(key, m); // sorted newest first
+  });
+
+  const rows = [];
+  vehicles.forEach((v) => {
+    const range = readings.get(String(v._id)) || { first: null, last: 0 };
+    const currentKm = range.last || null;
+    const addedAt = v.createdAt || v._id.getTimestamp();
+    SERVICE_TYPES.forEach((type) => {
+      const key = `${v._id}:${type}`;
+      const schedule = scheduleFor.get(key);
+      if (schedule && schedule.isActive === false) return;
+
+      const intervalKm = schedule && schedule.intervalKm !== undefined ? schedule.intervalKm : DEFAULT_INTERVALS[type].intervalKm;
+      const intervalDays = schedule && schedule.intervalDays !== undefined ? schedule.intervalDays : DEFAULT_INTERVALS[type].intervalDays;
+      const last = lastService.get(key);
+
+      const row = {
+        vehicleId: v._id,
+        vehicleNumber: v.vehicleNumber,
+        serviceType: type,
+        intervalKm,
+        intervalDays,
+        currentKm,
+        lastServiceKm: last ? last.kmAtMaintenance : null,
+        lastServiceDate: last ? last.date : null,
+        dueKm: null,
+        dueDate: null,
+        kmRemaining: null,
+        daysRemaining: null,
+        measuredFrom: last ? 'last_service' : 'first_use',
+        status: 'no_record',
+      };
+
+      const fromKm = last ? last.kmAtMaintenance : range.first;
+      const fromDate = last ? last.date : addedAt;
+      // an explicit "next oil change at" on the record wins over the interval
+      if (last && type === 'oil_change' && last.nextOilChangeKm) row.dueKm = last.nextOilChangeKm;
+      else if (intervalKm && fromKm !== null && fromKm !== undefined) row.dueKm = fromKm + intervalKm;
+      if (intervalDays && fromDate) row.dueDate = new Date(new Date(fromDate).getTime() + intervalDays * DAY_MS);
+
+      if (row.dueKm !== null && currentKm !== null) row.kmRemaining = row.dueKm - currentKm;
+      if (row.dueDate) row.daysRemaining = Math.ceil((row.dueDate - now) / DAY_MS);
+      if (row.kmRemaining !== null || row.daysRemaining !== null) row.status = statusOf(row.kmRemaining, row.daysRemaining);
+
+      rows.push(row);
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Warnings to return when a trip is given a vehicle that is overdue for
+ * service. Never throws: callers use it after the trip is saved, and a
+ * failed check must not turn a saved trip into an error.
+ */
+async function serviceWarnings(vehicleId) {
+  if (!vehicleId) return [];
+  let rows;
+  try {
+    rows = await computeServiceStatus({ vehicleIds: [vehicleId] });
+  } catch (err) {
+    console.error(`[services] service check for vehicle ${vehicleId} failed:`, err);
+    return [];
+  }
+  return rows
+    .filter((r) => r.status === 'overdue')
+    .map((r) => ({
+      code: 'SERVICE_OVERDUE',
+      message: `${r.vehicleNumber} is overdue for ${r.serviceType.replace('_', ' ')}`,
+      serviceType: r.serviceType,
+      dueKm: r.dueKm,
+      dueDate: r.dueDate,
+      currentKm: r.currentKm,
+    }));
+}
+
+module.exports = {
+  DEFAULT_INTERVALS,
+  serviceTypeOf,
+  computeServiceStatus,
+  serviceWarnings,
+};
@@ -0,0 +1,123 @@
+// utils/sessions.js
+// Short-lived JWT access tokens plus rotating refresh tokens kept server-side.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'replace_with_a_strong_secret';
+// JWT_EXPIRES_IN used to mean long-lived login tokens; access tokens get
+// their own setting so an old value can't stretch them to days
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS || 30);
+
+function hash(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function unauthorized(message) {
+  const err = new Error(message);
+  err.status = 401;
+  return err;
+}
+
+function signAccessToken(user, role, sessionId) {
+  return jwt.sign({ id: user._id.toString(), role, sid: sessionId.toString() }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+function tokenPair(session, secret, user) {
+  return {
+    token: signAccessToken(user, session.role, session._id),
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshToken: `${session._id}.${secret}`,
+    refreshExpiresAt: session.expiresAt,
+  };
+}
+
+/** Start a session for a freshly authenticated user */
+async function issueTokens(user, role, req) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const session = await Session.create({
+    user: user._id,
+    role,
+    tokenHash: hash(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 86400000),
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  });
+  return tokenPair(session, secret, user);
+}
+
+/** Session a "<sessionId>.<secret>" refresh token belongs to, or null */
+async function findSession(refreshToken) {
+  const [id, secret] = String(refreshToken || '').split('.');
+  if (!id || !secret || !/^[a-f0-9]{24}$/.test(id)) return null;
+  const session = await Session.findById(id);
+  return session ? { session, secretHash: hash(secret) } : null;
+}
+
+/**
+ * Swap a refresh token for a new pair. Replaying an already rotated token
+ * means it leaked, so the whole session is revoked.
+ */
+async function rotateTokens(refreshToken, loadUser) {
+  const found = await findSession(refreshToken);
+  if (!found) throw unauthorized('Invalid refresh token');
+  const { session, secretHash } = found;
+
+  if (session.revokedAt) throw unauthorized('Session has been revoked');
+  if (session.expiresAt < new Date()) throw unauthorized('Refresh token expired');
+  if (secretHash !== session.tokenHash) {
+    if (secretHash === session.previousTokenHash) await revokeReused(session._id);
+    throw unauthorized('Invalid refresh token');
+  }
+
+  const user = await loadUser(session.role, session.user);
+  if (!user) throw unauthorized('Account not found');
+  if (user.isActive === false) {
+    await revokeSessions(user._id, 'account deactivated');
+    throw unauthorized('Account is deactivated');
+  }
+
+  // only one of two concurrent refreshes with the same token may win
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: secretHash, revokedAt: null },
+    { $set: { previousTokenHash: secretHash, tokenHash: hash(secret), lastUsedAt: new Date() } },
+    { new: true }
+  );
+  if (!rotated) {
+    await revokeReused(session._id);
+    throw unauthorized('Invalid refresh token');
+  }
+  return { ...tokenPair(rotated, secret, user), user, role: rotated.role };
+}
+
+async function revokeReused(sessionId) {
+  await revokeSession(sessionId, 'refresh token reused');
+}
+
+async function revokeSession(sessionId, reason = 'logout') {
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+}
+
+/** Sign a user out everywhere (optionally keeping one session) */
+async function revokeSessions(userId, reason, { except } = {}) {
+  const match = { user: userId, revokedAt: null };
+  if (except) match._id = { $ne: except };
+  const result = await Session.updateMany(match, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+}
+
+async function isSessionActive(sessionId) {
+  return Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+}
+
+module.exports = {
+  JWT_SECRET,
+  issueTokens,
+  findSession,
+  rotateTokens,
+  revokeSession,
+  revokeSessions,
+  isSessionActive,
+};
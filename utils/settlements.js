@@ -0,0 +1,198 @@
+// utils/settlements.js
+// Driver settlement figures for one period:
+//   earnings = salary + commission + beta + allowances
+//   net      = earnings + expenses paid by the driver
+//              - cash the driver collected - advances - deductions
+// A positive net is owed to the driver, a negative one by the driver.
+const Trip = require('../models/trips');
+const Driver = require('../models/Driver');
+const DriverAdvance = require('../models/DriverAdvance');
+const DriverSettlement = require('../models/DriverSettlement');
+const { badRequest, dateRange } = require('./tripHelpers');
+
+// trip fields that feed a settlement; frozen once it is locked
+const SETTLEMENT_FIELDS = [
+  'driverId', 'tripAmount', 'tripAmountReceivedBy', 'fuelAmount', 'fuelEntries',
+  'tolls', 'parkingCharges', 'driverBeta', 'expensesPaidBy', 'status', 'completedAt', 'endDate',
+];
+
+const round = (n) => Math.round(n * 100) / 100;
+
+function conflict(message, code) {
+  const err = new Error(message);
+  err.status = 409;
+  err.body = { message, code };
+  return err;
+}
+
+/** Parse ?from&to into a closed period; both are required */
+function parsePeriod(from, to) {
+  if (!from || !to) throw badRequest('from and to are required');
+  const range = dateRange(from, to);
+  if (range.$lte < range.$gte) throw badRequest('to cannot be before from');
+  return { start: range.$gte, end: range.$lte };
+}
+
+function collectedByDriver(payment, trip) {
+  const who = String(payment.collectedBy || '').trim().toLowerCase();
+  if (who) return who === 'driver' || who === String(trip.driverName || '').trim().toLowerCase();
+  return payment.recordedByRole === 'driver' && payment.mode === 'Cash';
+}
+
+/** When a trip counts as done: completedAt, else its end/start date */
+function tripDate(trip) {
+  return trip.completedAt || trip.endDate || trip.startDate || trip.createdAt;
+}
+
+function inPeriod(date, period) {
+  return date && date >= period.start && date <= period.end;
+}
+
+function driverExpenses(trip) {
+  let fuel = 0;
+  if (trip.fuelEntries && trip.fuelEntries.length) {
+    fuel = trip.fuelEntries.filter((e) => e.paidBy !== 'company').reduce((sum, e) => sum + Number(e.amount || 0), 0);
+  } else if (trip.expensesPaidBy !== 'company') {
+    fuel = Number(trip.fuelAmount || 0);
+  }
+  const other = trip.expensesPaidBy === 'company' ? 0 : Number(trip.tolls || 0) + Number(trip.parkingCharges || 0);
+  return fuel + other;
+}
+
+/** Monthly salary spread over the calendar days of the period */
+function proratedSalary(monthlySalary, period) {
+  if (!monthlySalary) return 0;
+  let total = 0;
+  const day = new Date(Date.UTC(period.start.getUTCFullYear(), period.start.getUTCMonth(), period.start.getUTCDate()));
+  while (day <= period.end) {
+    const daysInMonth = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+    total += monthlySalary / daysInMonth;
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  return total;
+}
+
+/**
+ * Compute a settlement for one driver and period. Cash is counted by
+ * payment date; expenses, beta and commission by the trip's completion date.
+ */
+async function buildStatement(driverId, { from, to, adjustments = [] } = {}) {
+  const period = parsePeriod(from, to);
+  const driver = await Driver.findById(driverId).select('name payRule').lean();
+  if (!driver) {
+    const err = new Error('Driver not found');
+    err.status = 404;
+    throw err;
+  }
+  const rule = { scheme: 'none', monthlySalary: 0, commissionPercent: 0, commissionBasis: 'tripAmount', ...(driver.payRule || {}) };
+  const range = { $gte: period.start, $lte: period.end };
+
+  const [trips, advances] = await Promise.all([
+    Trip.find({
+      driverId: driver._id,
+      isDriverDeleted: { $ne: true },
+      $or: [
+        { status: 'completed', completedAt: range },
+        { status: 'completed', completedAt: null, endDate: range },
+        { status: 'completed', completedAt: null, endDate: null, startDate: range },
+        { 'payments.date': range },
+      ],
+    }).sort({ startDate: 1 }),
+    DriverAdvance.find({ driver: driver._id, settlement: null, date: { $lte: period.end } }).sort({ date: 1 }).lean(),
+  ]);
+
+  const withCommission = ['commission', 'salary_commission'].includes(rule.scheme);
+  const rows = trips.map((t) => {
+    const completed = t.status === 'completed' && inPeriod(tripDate(t), period);
+
+    let cash = 0;
+    if (t.payments.length) {
+      t.payments.forEach((p) => {
+        if (inPeriod(p.date, period) && collectedByDriver(p, t)) cash += (p.type === 'refund' ? -1 : 1) * p.amount;
+      });
+    } else if (completed && collectedByDriver({ collectedBy: t.tripAmountReceivedBy }, t)) {
+      // legacy trip without a ledger: whatever was received went to the driver
+      cash = Number(t.tripAmount || 0) - Number(t.balanceAmount || 0);
+    }
+
+    const expenses = completed ? driverExpenses(t) : 0;
+    const beta = completed ? Number(t.driverBeta || 0) : 0;
+    let commission = 0;
+    if (completed && withCommission) {
+      const basis = rule.commissionBasis === 'profit' ? Math.max(0, t.profit) : Number(t.tripAmount || 0);
+      commission = (basis * rule.commissionPercent) / 100;
+    }
+
+    return {
+      trip: t._id,
+      bookingId: t.bookingId,
+      date: tripDate(t),
+      completed,
+      tripAmount: Number(t.tripAmount || 0),
+      cashCollected: round(cash),
+      expenses: round(expenses),
+      beta: round(beta),
+      commission: round(commission),
+    };
+  });
+
+  const sum = (key) => round(rows.reduce((s, r) => s + r[key], 0));
+  const adjust = (type) => round(adjustments.filter((a) => a.type === type).reduce((s, a) => s + Number(a.amount || 0), 0));
+
+  const totals = {
+    trips: rows.filter((r) => r.completed).length,
+    cashCollected: sum('cashCollected'),
+    expenses: sum('expenses'),
+    beta: sum('beta'),
+    allowances: adjust('allowance'),
+    salary: ['salary', 'salary_commission'].includes(rule.scheme) ? round(proratedSalary(rule.monthlySalary, period)) : 0,
+    commission: sum('commission'),
+    advances: round(advances.reduce((s, a) => s + a.amount, 0)),
+    deductions: adjust('deduction'),
+  };
+  totals.earnings = round(totals.salary + totals.commission + totals.beta + totals.allowances);
+  totals.net = round(totals.earnings + totals.expenses - totals.cashCollected - totals.advances - totals.deductions);
+
+  return {
+    driver: driver._id,
+    driverName: driver.name,
+    periodStart: period.start,
+    periodEnd: period.end,
+    payRule: rule,
+    trips: rows,
+    advances: advances.map((a) => a._id),
+    advanceDetails: advances,
+    adjustments,
+    totals,
+    direction: totals.net > 0 ? 'company_pays' : totals.net < 0 ? 'driver_pays' : 'settled',
+  };
+}
+
+/** 409 when the trip was counted in a locked settlement */
+async function assertTripNotSettled(trip) {
+  const locked = await DriverSettlement.findOne({ status: 'locked', 'trips.trip': trip._id }).select('_id').lean();
+  if (locked) throw conflict('Trip is part of a locked driver settlement', 'SETTLEMENT_LOCKED');
+}
+
+/** 409 when the date falls inside a locked settlement period for the driver */
+async function assertPeriodOpen(driverId, date) {
+  if (!driverId) return;
+  const d = new Date(date || Date.now());
+  const locked = await DriverSettlement.findOne({
+    driver: driverId,
+    status: 'locked',
+    periodStart: { $lte: d },
+    periodEnd: { $gte: d },
+  }).select('_id').lean();
+  if (locked) throw conflict('Date falls inside a locked driver settlement', 'SETTLEMENT_LOCKED');
+}
+
+module.exports = {
+  SETTLEMENT_FIELDS,
+  parsePeriod,
+  collectedByDriver,
+  tripDate,
+  buildStatement,
+  assertTripNotSettled,
+  assertPeriodOpen,
+};
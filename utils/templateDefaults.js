@@ -0,0 +1,168 @@
+// utils/templateDefaults.js
+// Built-in wording per event and language, used until an admin saves their own.
+
+const en = {
+  booking_confirmation: {
+    subject: 'Booking {{trip.bookingId}} confirmed',
+    body: [
+      'Hello {{trip.customerName}},',
+      'Your booking {{trip.bookingId}} is confirmed.',
+      'Pick-up: {{trip.startDate|date}} at {{trip.startDate|time}}',
+      'From: {{trip.fromLocation}}',
+      'To: {{trip.endLocation}}',
+      'Vehicle: {{vehicle.vehicleType}} ({{vehicle.seatingCapacity}} seats)',
+      'Fare: {{trip.tripAmount|money}}',
+      'Payment mode: {{trip.paymentMode}}',
+      'Thank you for travelling with {{company.name}}.',
+    ],
+  },
+  driver_assignment: {
+    subject: 'Driver assigned for booking {{trip.bookingId}}',
+    body: [
+      'Trip details - booking {{trip.bookingId}}',
+      'Pick-up: {{trip.startDate|date}} at {{trip.startDate|time}}',
+      'From: {{trip.fromLocation}}',
+      'To: {{trip.endLocation}}',
+      'Passenger: {{trip.customerName}}, {{trip.customerNumber|phone}}',
+      'Driver: {{driver.name}}, {{driver.phone|phone}}',
+      'Vehicle: {{vehicle.vehicleNumber}} - {{vehicle.vehicleType}}, {{vehicle.seatingCapacity}} seats',
+      'Fare: {{trip.tripAmount|money}} ({{trip.paymentMode}})',
+    ],
+  },
+  reminder: {
+    subject: 'Reminder: trip {{trip.bookingId}}',
+    body: [
+      'Reminder: your trip {{trip.bookingId}} is on {{trip.startDate|date}} at {{trip.startDate|time}}.',
+      'From: {{trip.fromLocation}}',
+      'To: {{trip.endLocation}}',
+      'Driver: {{driver.name}}, {{driver.phone|phone}}',
+      'Vehicle: {{vehicle.vehicleNumber}}',
+    ],
+  },
+  invoice: {
+    subject: 'Invoice for booking {{trip.bookingId}}',
+    body: [
+      'Invoice - booking {{trip.bookingId}}',
+      'Date: {{trip.startDate|date}}',
+      '{{trip.fromLocation}} to {{trip.endLocation}}, {{trip.distanceKm}} km',
+      'Fare: {{trip.tripAmount|money}}',
+      'Paid: {{trip.amountPaid|money}}',
+      'Balance due: {{trip.balanceAmount|money}}',
+      'Thank you, {{company.name}}',
+    ],
+  },
+};
+
+const hi = {
+  booking_confirmation: {
+    subject: 'बुकिंग {{trip.bookingId}} कन्फर्म',
+    body: [
+      'नमस्ते {{trip.customerName}},',
+      'आपकी बुकिंग {{trip.bookingId}} कन्फर्म हो गई है।',
+      'पिक-अप: {{trip.startDate|date}}, {{trip.startDate|time}}',
+      'कहाँ से: {{trip.fromLocation}}',
+      'कहाँ तक: {{trip.endLocation}}',
+      'गाड़ी: {{vehicle.vehicleType}} ({{vehicle.seatingCapacity}} सीटें)',
+      'किराया: {{trip.tripAmount|money}}',
+      'भुगतान का तरीका: {{trip.paymentMode}}',
+      '{{company.name}} के साथ यात्रा करने के लिए धन्यवाद।',
+    ],
+  },
+  driver_assignment: {
+    subject: 'बुकिंग {{trip.bookingId}} के लिए ड्राइवर तय',
+    body: [
+      'यात्रा विवरण - बुकिंग {{trip.bookingId}}',
+      'पिक-अप: {{trip.startDate|date}}, {{trip.startDate|time}}',
+      'कहाँ से: {{trip.fromLocation}}',
+      'कहाँ तक: {{trip.endLocation}}',
+      'यात्री: {{trip.customerName}}, {{trip.customerNumber|phone}}',
+      'ड्राइवर: {{driver.name}}, {{driver.phone|phone}}',
+      'गाड़ी: {{vehicle.vehicleNumber}} - {{vehicle.vehicleType}}, {{vehicle.seatingCapacity}} सीटें',
+      'किराया: {{trip.tripAmount|money}} ({{trip.paymentMode}})',
+    ],
+  },
+  reminder: {
+    subject: 'याद दिलाना: यात्रा {{trip.bookingId}}',
+    body: [
+      'याद दिलाना: आपकी यात्रा {{trip.bookingId}} {{trip.startDate|date}} को {{trip.startDate|time}} बजे है।',
+      'कहाँ से: {{trip.fromLocation}}',
+      'कहाँ तक: {{trip.endLocation}}',
+      'ड्राइवर: {{driver.name}}, {{driver.phone|phone}}',
+      'गाड़ी: {{vehicle.vehicleNumber}}',
+    ],
+  },
+  invoice: {
+    subject: 'बुकिंग {{trip.bookingId}} का बिल',
+    body: [
+      'बिल - बुकिंग {{trip.bookingId}}',
+      'तारीख: {{trip.startDate|date}}',
+      '{{trip.fromLocation}} से {{trip.endLocation}}, {{trip.distanceKm}} किमी',
+      'किराया: {{trip.tripAmount|money}}',
+      'भुगतान किया: {{trip.amountPaid|money}}',
+      'बकाया राशि: {{trip.balanceAmount|money}}',
+      'धन्यवाद, {{company.name}}',
+    ],
+  },
+};
+
+const te = {
+  booking_confirmation: {
+    subject: 'బుకింగ్ {{trip.bookingId}} నిర్ధారించబడింది',
+    body: [
+      'నమస్కారం {{trip.customerName}},',
+      'మీ బుకింగ్ {{trip.bookingId}} నిర్ధారించబడింది.',
+      'పికప్: {{trip.startDate|date}}, {{trip.startDate|time}}',
+      'ఎక్కడ నుండి: {{trip.fromLocation}}',
+      'ఎక్కడికి: {{trip.endLocation}}',
+      'వాహనం: {{vehicle.vehicleType}} ({{vehicle.seatingCapacity}} సీట్లు)',
+      'ఛార్జీ: {{trip.tripAmount|money}}',
+      'చెల్లింపు విధానం: {{trip.paymentMode}}',
+      '{{company.name}} తో ప్రయాణించినందుకు ధన్యవాదాలు.',
+    ],
+  },
+  driver_assignment: {
+    subject: 'బుకింగ్ {{trip.bookingId}} కు డ్రైవర్ కేటాయించబడ్డారు',
+    body: [
+      'ప్రయాణ వివరాలు - బుకింగ్ {{trip.bookingId}}',
+      'పికప్: {{trip.startDate|date}}, {{trip.startDate|time}}',
+      'ఎక్కడ నుండి: {{trip.fromLocation}}',
+      'ఎక్కడికి: {{trip.endLocation}}',
+      'ప్రయాణికుడు: {{trip.customerName}}, {{trip.customerNumber|phone}}',
+      'డ్రైవర్: {{driver.name}}, {{driver.phone|phone}}',
+      'వాహనం: {{vehicle.vehicleNumber}} - {{vehicle.vehicleType}}, {{vehicle.seatingCapacity}} సీట్లు',
+      'ఛార్జీ: {{trip.tripAmount|money}} ({{trip.paymentMode}})',
+    ],
+  },
+  reminder: {
+    subject: 'గుర్తు: ప్రయాణం {{trip.bookingId}}',
+    body: [
+      'గుర్తు: మీ ప్రయాణం {{trip.bookingId}} {{trip.startDate|date}} న {{trip.startDate|time}} కు ఉంది.',
+      'ఎక్కడ నుండి: {{trip.fromLocation}}',
+      'ఎక్కడికి: {{trip.endLocation}}',
+      'డ్రైవర్: {{driver.name}}, {{driver.phone|phone}}',
+      'వాహనం: {{vehicle.vehicleNumber}}',
+    ],
+  },
+  invoice: {
+    subject: 'బుకింగ్ {{trip.bookingId}} ఇన్వాయిస్',
+    body: [
+      'ఇన్వాయిస్ - బుకింగ్ {{trip.bookingId}}',
+      'తేదీ: {{trip.startDate|date}}',
+      '{{trip.fromLocation}} నుండి {{trip.endLocation}}, {{trip.distanceKm}} కి.మీ',
+      'ఛార్జీ: {{trip.tripAmount|money}}',
+      'చెల్లించినది: {{trip.amountPaid|money}}',
+      'బకాయి: {{trip.balanceAmount|money}}',
+      'ధన్యవాదాలు, {{company.name}}',
+    ],
+  },
+};
+
+const DEFAULT_TEMPLATES = { en, hi, te };
+
+/** { subject, body } built in for the event and language */
+function defaultTemplate(event, language) {
+  const t = DEFAULT_TEMPLATES[language] && DEFAULT_TEMPLATES[language][event];
+  return t ? { subject: t.subject, body: t.body.join('\n') } : null;
+}
+
+module.exports = { DEFAULT_TEMPLATES, defaultTemplate };
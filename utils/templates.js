@@ -0,0 +1,217 @@
+// utils/templates.js
+// Notification templates: one per event and language, editable by admins,
+// with {{trip.x}}, {{driver.x}}, {{vehicle.x}} and {{company.x}} placeholders
+// and an optional formatter, e.g. {{trip.startDate|date}}.
+const Trip = require('../models/trips');
+const Driver = require('../models/Driver');
+const Vehicle = require('../models/Vehicle');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const { defaultTemplate } = require('./templateDefaults');
+const { companyInfo } = require('./tripDocuments');
+const { normalizeIndianPhone } = require('./phone');
+
+const { TEMPLATE_EVENTS, LANGUAGES } = NotificationTemplate;
+const DEFAULT_LANGUAGE = LANGUAGES.includes(process.env.DEFAULT_LANGUAGE) ? process.env.DEFAULT_LANGUAGE : 'en';
+const TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Kolkata';
+const EMPTY = '-';
+
+// internal or sensitive fields that are never offered as placeholders
+const HIDDEN = {
+  trip: ['createdBy', 'createdByRole', 'isDriverDeleted', 'driverDeletedAt', 'driverDeletedBy', 'profit', 'revenuePerKm', 'costPerKm'],
+  driver: ['password', 'role', 'isActive', 'passwordChangedAt', 'payRule', 'idProof', 'license.file', 'badge.file'],
+  vehicle: [],
+};
+
+const isHidden = (source, path) => HIDDEN[source].some((h) => path === h || path.startsWith(`${h}.`));
+
+/** Scalar paths of a schema, single nested subdocuments flattened */
+function schemaFields(schema, prefix = '') {
+  const fields = [];
+  schema.eachPath((path, type) => {
+    if (path === '_id' || path === '__v') return;
+    if (type.schema && !type.$isMongooseDocumentArray) {
+      fields.push(...schemaFields(type.schema, `${prefix}${path}.`));
+    } else if (['String', 'Number', 'Date', 'Boolean'].includes(type.instance)) {
+      fields.push({ path: `${prefix}${path}`, type: type.instance });
+    }
+  });
+  return fields;
+}
+
+function placeholdersFor(source, model, virtuals = []) {
+  return [...schemaFields(model.schema), ...virtuals.map((path) => ({ path, type: 'Number' }))]
+    .filter((f) => !isHidden(source, f.path))
+    .map((f) => ({ key: `${source}.${f.path}`, type: f.type }));
+}
+
+const PLACEHOLDERS = [
+  ...placeholdersFor('trip', Trip, ['distanceKm', 'fuelLitres', 'totalExpenses']),
+  ...placeholdersFor('driver', Driver),
+  ...placeholdersFor('vehicle', Vehicle),
+  ...['name', 'address', 'phone', 'email', 'gstin'].map((name) => ({ key: `company.${name}`, type: 'String' })),
+];
+const PLACEHOLDER_TYPES = new Map(PLACEHOLDERS.map((p) => [p.key, p.type]));
+
+const dateOf = (value) => new Date(value).toLocaleDateString('en-IN', { timeZone: TIMEZONE });
+const timeOf = (value) => new Date(value).toLocaleTimeString('en-IN', { timeZone: TIMEZONE, hour: '2-digit', minute: '2-digit' });
+
+const FORMATTERS = {
+  date: dateOf,
+  time: timeOf,
+  datetime: (value) => `${dateOf(value)}, ${timeOf(value)}`,
+  money: (value) => `₹${Number(value).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`,
+  number: (value) => Number(value).toLocaleString('en-IN', { maximumFractionDigits: 2 }),
+  phone: (value) => {
+    const phone = normalizeIndianPhone(value);
+    return phone ? `+91 ${phone}` : String(value);
+  },
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+};
+
+// formatter used when a placeholder doesn't name one
+const DEFAULT_FORMATTERS = { Date: 'datetime', Number: 'number' };
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+
+/** Every {{placeholder|formatter}} in the text */
+function placeholdersIn(text) {
+  return [...String(text || '').matchAll(PLACEHOLDER_PATTERN)].map((m) => ({ key: m[1], formatter: m[2] }));
+}
+
+/** Messages for placeholders or formatters that don't exist, [] when the text is fine */
+function templateProblems(text) {
+  const problems = [];
+  placeholdersIn(text).forEach(({ key, formatter }) => {
+    if (!PLACEHOLDER_TYPES.has(key)) problems.push(`Unknown placeholder {{${key}}}`);
+    if (formatter && !FORMATTERS[formatter]) problems.push(`Unknown formatter "${formatter}" on {{${key}}}`);
+  });
+  return [...new Set(problems)];
+}
+
+function lookup(context, key) {
+  return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), context);
+}
+
+/** Fill in the placeholders; `missing` lists those with no value, which render as "-" */
+function renderTemplate(text, context) {
+  const missing = new Set();
+  const rendered = String(text || '').replace(PLACEHOLDER_PATTERN, (match, key, formatter) => {
+    const value = lookup(context, key);
+    if (value === undefined || value === null || value === '') {
+      missing.add(key);
+      return EMPTY;
+    }
+    const format = FORMATTERS[formatter || DEFAULT_FORMATTERS[PLACEHOLDER_TYPES.get(key)]];
+    return format ? format(value) : String(value);
+  });
+  return { text: rendered, missing: [...missing] };
+}
+
+const refId = (ref) => (ref && ref._id ? ref._id : ref);
+
+/** Placeholder values for a trip: its driver and vehicle, falling back to the trip's snapshots */
+async function tripContext(trip) {
+  const t = typeof trip.toObject === 'function' ? trip.toObject({ virtuals: true }) : trip;
+  const [driver, vehicle] = await Promise.all([
+    t.driverId ? Driver.findById(refId(t.driverId)).select('-password -payRule -idProof').lean() : null,
+    t.vehicleId ? Vehicle.findById(refId(t.vehicleId)).lean() : null,
+  ]);
+  const { logoPath, ...company } = companyInfo();
+  return {
+    trip: t,
+    driver: { name: t.driverName, phone: t.driverNumber, ...driver },
+    vehicle: { vehicleNumber: t.vehicleNumber, vehicleType: t.vehicleType, ...vehicle },
+    company,
+  };
+}
+
+/** Made-up trip for previews before there is a real one to render */
+function sampleContext() {
+  const startDate = new Date(Date.now() + 86400000);
+  startDate.setUTCHours(4, 30, 0, 0);
+  const trip = new Trip({
+    bookingId: '20260101001',
+    bookingDate: startDate.toISOString().slice(0, 10),
+    customerName: 'Ravi Kumar',
+    customerNumber: '9876543210',
+    driverName: 'Suresh Reddy',
+    driverNumber: '9123456780',
+    vehicleType: 'Innova',
+    vehicleNumber: 'TS09AB1234',
+    startDate,
+    fromLocation: 'Hyderabad',
+    endLocation: 'Vijayawada',
+    startingReading: 42100,
+    endingReading: 42375,
+    tripAmount: 6500,
+    amountPaid: 2000,
+    balanceAmount: 4500,
+    paymentMode: 'UPI',
+    paymentStatus: 'partial',
+    status: 'assigned',
+  });
+  const { logoPath, ...company } = companyInfo();
+  return {
+    trip: trip.toObject({ virtuals: true }),
+    driver: { name: 'Suresh Reddy', phone: '9123456780', email: 'suresh@example.com' },
+    vehicle: { vehicleType: 'Innova', seatingCapacity: 7, vehicleNumber: 'TS09AB1234' },
+    company,
+  };
+}
+
+/** The saved template for event + language, else the built-in one */
+async function getTemplate(event, language) {
+  const builtIn = defaultTemplate(event, language);
+  const saved = await NotificationTemplate.findOne({ event, language, isActive: true }).lean();
+  if (!saved) return { event, language, ...builtIn, isDefault: true };
+  return { event, language, subject: saved.subject || builtIn.subject, body: saved.body, isDefault: false, updatedAt: saved.updatedAt };
+}
+
+/** Recipient's preferred language when it has one we have templates for */
+function languageFor(recipient) {
+  return recipient && LANGUAGES.includes(recipient.language) ? recipient.language : DEFAULT_LANGUAGE;
+}
+
+/** { subject, text, missing } for the event's template rendered against a context */
+function renderMessage(template, context) {
+  const subject = renderTemplate(template.subject, context);
+  const body = renderTemplate(template.body, context);
+  return {
+    event: template.event,
+    language: template.language,
+    subject: subject.text,
+    text: body.text,
+    missing: [...new Set([...subject.missing, ...body.missing])],
+  };
+}
+
+/**
+ * Render the event's current template for a trip. `params` are placeholders
+ * ("trip.bookingId", "trip.startDate|date") rendered one by one into `params`,
+ * for providers that send pre-approved templates.
+ */
+async function renderForTrip(event, trip, { language = DEFAULT_LANGUAGE, params = [] } = {}) {
+  const [template, context] = await Promise.all([getTemplate(event, language), tripContext(trip)]);
+  return {
+    ...renderMessage(template, context),
+    params: params.map((key) => renderTemplate(`{{${key}}}`, context).text),
+  };
+}
+
+module.exports = {
+  TEMPLATE_EVENTS,
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  PLACEHOLDERS,
+  FORMATTERS,
+  placeholdersIn,
+  templateProblems,
+  renderTemplate,
+  tripContext,
+  sampleContext,
+  getTemplate,
+  languageFor,
+  renderMessage,
+  renderForTrip,
+};
@@ -0,0 +1,155 @@
+// utils/tripCompliance.js
+// Paperwork checks run when a trip gets a vehicle or a driver.
+const mongoose = require('mongoose');
+const { can } = require('./permissions');
+const VehicleDocument = require('../models/VehicleDocument');
+const Driver = require('../models/Driver');
+
+const { MANDATORY_DOCUMENT_TYPES } = VehicleDocument;
+
+// "block" refuses the trip (admins may override), "warn" only reports;
+// an expired driving license is refused in either mode
+const ENFORCEMENT = process.env.COMPLIANCE_ENFORCEMENT === 'warn' ? 'warn' : 'block';
+
+const day = (d) => d.toISOString().slice(0, 10);
+
+/** Newest expiry per document type for one vehicle */
+async function latestDocuments(vehicleId) {
+  const rows = await VehicleDocument.aggregate([
+    { $match: { vehicle: new mongoose.Types.ObjectId(String(vehicleId)) } },
+    { $sort: { expiryDate: -1 } },
+    { $group: { _id: '$documentType', expiryDate: { $first: '$expiryDate' }, documentNumber: { $first: '$documentNumber' } } },
+  ]);
+  return new Map(rows.map((r) => [r._id, r]));
+}
+
+/**
+ * Mandatory documents that are missing (warning) or expired at any point
+ * of the trip window (blocking).
+ */
+async function vehicleComplianceIssues(vehicleId, { startDate, endDate } = {}) {
+  const blocking = [];
+  const warnings = [];
+  if (!vehicleId) return { blocking, warnings };
+
+  const until = new Date(endDate || startDate || Date.now());
+  const docs = await latestDocuments(vehicleId);
+
+  MANDATORY_DOCUMENT_TYPES.forEach((type) => {
+    const doc = docs.get(type);
+    if (!doc) {
+      warnings.push({ code: 'DOCUMENT_MISSING', documentType: type, message: `No ${type.replace('_', ' ')} document recorded for this vehicle` });
+    } else if (doc.expiryDate && doc.expiryDate < until) {
+      blocking.push({
+        code: 'DOCUMENT_EXPIRED',
+        documentType: type,
+        documentNumber: doc.documentNumber,
+        expiryDate: doc.expiryDate,
+        message: `Vehicle ${type.replace('_', ' ')} expires ${day(doc.expiryDate)}, before the trip ends`,
+      });
+    }
+  });
+
+  return { blocking, warnings };
+}
+
+/**
+ * Driver license already expired when the trip starts (blocking, never
+ * overridable) or expiring before it ends (blocking); badge expired or
+ * license not on record (warnings).
+ */
+async function driverComplianceIssues(driverId, { startDate, endDate } = {}) {
+  const blocking = [];
+  const warnings = [];
+  if (!driverId) return { blocking, warnings };
+
+  const driver = await Driver.findById(driverId).select('name license badge').lean();
+  if (!driver) return { blocking, warnings };
+
+  const from = new Date(startDate || Date.now());
+  const until = new Date(endDate || startDate || Date.now());
+  const license = driver.license || {};
+  const badge = driver.badge || {};
+
+  if (!license.expiryDate) {
+    warnings.push({ code: 'LICENSE_MISSING', documentType: 'license', message: `No driving license recorded for ${driver.name}` });
+  } else if (license.expiryDate < from) {
+    blocking.push({
+      code: 'LICENSE_EXPIRED',
+      documentType: 'license',
+      documentNumber: license.number,
+      expiryDate: license.expiryDate,
+      overridable: false,
+      message: `${driver.name}'s driving license expired on ${day(license.expiryDate)}`,
+    });
+  } else if (license.expiryDate < until) {
+    blocking.push({
+      code: 'LICENSE_EXPIRES_DURING_TRIP',
+      documentType: 'license',
+      documentNumber: license.number,
+      expiryDate: license.expiryDate,
+      message: `${driver.name}'s driving license expires ${day(license.expiryDate)}, before the trip ends`,
+    });
+  }
+  if (badge.expiryDate && badge.expiryDate < until) {
+    warnings.push({
+      code: 'BADGE_EXPIRED',
+      documentType: 'badge',
+      documentNumber: badge.number,
+      expiryDate: badge.expiryDate,
+      message: `${driver.name}'s PSV badge expires ${day(badge.expiryDate)}, before the trip ends`,
+    });
+  }
+
+  return { blocking, warnings };
+}
+
+function complianceBlocked(issues, warnings, canOverride) {
+  const err = new Error(issues[0].message);
+  err.status = 409;
+  err.body = { message: issues[0].message, code: 'COMPLIANCE_BLOCKED', issues, warnings, canOverride };
+  return err;
+}
+
+/**
+ * Throws a 409 for blocking issues unless an admin sent overrideCompliance=true.
+ * An expired driving license blocks whatever the enforcement mode or override.
+ * Returns { warnings, override } where override is the record to keep on the trip.
+ */
+async function assertCompliance(trip, req) {
+  const [vehicle, driver] = await Promise.all([
+    vehicleComplianceIssues(trip.vehicleId, trip),
+    driverComplianceIssues(trip.driverId, trip),
+  ]);
+  const blocking = [...vehicle.blocking, ...driver.blocking];
+  const warnings = [...vehicle.warnings, ...driver.warnings];
+  if (!blocking.length) return { warnings, override: null };
+
+  const fixed = blocking.filter((i) => i.overridable === false);
+  if (fixed.length) throw complianceBlocked(fixed, warnings, false);
+
+  if (ENFORCEMENT === 'warn') return { warnings: [...blocking, ...warnings], override: null };
+
+  const body = req.body || {};
+  const override = body.overrideCompliance === true || body.overrideCompliance === 'true';
+  if (!override || !can(req.user, 'trips:assign')) {
+    throw complianceBlocked(blocking, warnings, can(req.user, 'trips:assign'));
+  }
+
+  return {
+    warnings: [...blocking, ...warnings],
+    override: {
+      at: new Date(),
+      by: req.user.id,
+      issues: blocking.map((i) => i.code + ':' + i.documentType),
+      reason: body.overrideReason,
+    },
+  };
+}
+
+module.exports = {
+  ENFORCEMENT,
+  vehicleComplianceIssues,
+  driverComplianceIssues,
+  assertCompliance,
+};
@@ -0,0 +1,107 @@
+// utils/tripConflicts.js
+const mongoose = require('mongoose');
+const { can } = require('./permissions');
+const Trip = require('../models/trips');
+const { VOID_STATUSES } = require('./tripStatus');
+
+// Body fields that control admin overrides (conflicts, compliance); never stored as-is
+const OVERRIDE_FIELDS = ['overrideConflicts', 'overrideCompliance', 'overrideReason', 'conflictOverrides', 'complianceOverrides'];
+
+function toId(value) {
+  if (!value) return null;
+  return mongoose.Types.ObjectId.isValid(value) ? new mongoose.Types.ObjectId(value) : null;
+}
+
+/** Live (not deleted, cancelled or no-show) trips whose window overlaps start–end */
+function overlapMatch(start, end) {
+  return {
+    $and: [
+      { startDate: { $lte: end } },
+      { $or: [{ endDate: { $gte: start } }, { endDate: null, startDate: { $gte: start } }] },
+    ],
+    isDriverDeleted: { $ne: true },
+    status: { $nin: VOID_STATUSES },
+  };
+}
+
+/**
+ * Trips that share the driver or vehicle with an overlapping startDate–endDate window.
+ * A trip without endDate occupies only its startDate.
+ */
+async function findConflicts({ driverId, vehicleId, startDate, endDate, excludeId }) {
+  const start = startDate ? new Date(startDate) : null;
+  if (!start || isNaN(start.getTime())) return [];
+  const end = endDate && !isNaN(new Date(endDate).getTime()) ? new Date(endDate) : start;
+
+  const driver = toId(driverId);
+  const vehicle = toId(vehicleId);
+  if (!driver && !vehicle) return [];
+
+  const resources = [];
+  if (driver) resources.push({ driverId: driver });
+  if (vehicle) resources.push({ vehicleId: vehicle });
+
+  const match = overlapMatch(start, end);
+  match.$and.unshift({ $or: resources });
+  if (excludeId) match._id = { $ne: toId(excludeId) };
+
+  const trips = await Trip.find(match)
+    .select('bookingId driverId driverName vehicleId vehicleNumber startDate endDate status')
+    .sort({ startDate: 1 })
+    .lean();
+
+  return trips.map((t) => {
+    const on = [];
+    if (driver && String(t.driverId) === String(driver)) on.push('driver');
+    if (vehicle && String(t.vehicleId) === String(vehicle)) on.push('vehicle');
+    return {
+      tripId: t._id,
+      bookingId: t.bookingId,
+      conflictsOn: on,
+      driverName: t.driverName,
+      vehicleNumber: t.vehicleNumber,
+      startDate: t.startDate,
+      endDate: t.endDate,
+      status: t.status,
+    };
+  });
+}
+
+/**
+ * Throws a 409 when the window clashes with another booking, unless an admin
+ * sent overrideConflicts=true. Returns the override record to store on the trip
+ * (or null when there was nothing to override).
+ */
+async function assertNoConflicts(window, req) {
+  const conflicts = await findConflicts(window);
+  if (!conflicts.length) return null;
+
+  const body = req.body || {};
+  const override = body.overrideConflicts === true || body.overrideConflicts === 'true';
+  if (!override || !can(req.user, 'trips:assign')) {
+    const err = new Error('Driver or vehicle is already booked for this period');
+    err.status = 409;
+    err.body = {
+      message: err.message,
+      code: 'BOOKING_CONFLICT',
+      bookingIds: conflicts.map((c) => c.bookingId),
+      conflicts,
+      canOverride: can(req.user, 'trips:assign'),
+    };
+    throw err;
+  }
+
+  return {
+    at: new Date(),
+    by: req.user.id,
+    bookingIds: conflicts.map((c) => c.bookingId),
+    reason: body.overrideReason,
+  };
+}
+
+module.exports = {
+  OVERRIDE_FIELDS,
+  overlapMatch,
+  findConflicts,
+  assertNoConflicts,
+};
@@ -0,0 +1,218 @@
+// utils/tripDocuments.js
+// Invoice and duty-slip PDFs, rendered locally with pdfkit.
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+function companyInfo() {
+  return {
+    name: process.env.COMPANY_NAME || 'Happy Travelling',
+    address: process.env.COMPANY_ADDRESS || '',
+    phone: process.env.COMPANY_PHONE || '',
+    email: process.env.COMPANY_EMAIL || '',
+    gstin: process.env.COMPANY_GSTIN || '',
+    logoPath: process.env.COMPANY_LOGO_PATH || '',
+  };
+}
+
+const money = (n) => `Rs. ${Number(n || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const dateTime = (d) => (d ? new Date(d).toLocaleString('en-IN', { timeZone: process.env.REPORT_TIMEZONE || 'Asia/Kolkata' }) : '-');
+const dateOnly = (d) => (d ? new Date(d).toLocaleDateString('en-IN', { timeZone: process.env.REPORT_TIMEZONE || 'Asia/Kolkata' }) : '-');
+
+function kmTravelled(trip) {
+  const start = Number(trip.startingReading || 0);
+  const end = Number(trip.endingReading || 0);
+  return end > start ? end - start : 0;
+}
+
+function header(doc, title, trip) {
+  const company = companyInfo();
+  const top = doc.y;
+
+  if (company.logoPath && fs.existsSync(company.logoPath)) {
+    try {
+      doc.image(company.logoPath, doc.page.margins.left, top, { fit: [70, 70] });
+    } catch (err) {
+      // unreadable logo: render without it
+    }
+  }
+
+  doc.fontSize(16).font('Helvetica-Bold').text(company.name, 130, top);
+  doc.fontSize(9).font('Helvetica');
+  if (company.address) doc.text(company.address, 130);
+  const contact = [company.phone, company.email].filter(Boolean).join('  |  ');
+  if (contact) doc.text(contact, 130);
+  if (company.gstin) doc.text(`GSTIN: ${company.gstin}`, 130);
+
+  doc.fontSize(14).font('Helvetica-Bold').text(title, 350, top, { width: 195, align: 'right' });
+  doc.fontSize(9).font('Helvetica')
+    .text(`No: ${trip.bookingId || '-'}`, 350, doc.y, { width: 195, align: 'right' })
+    .text(`Date: ${dateOnly(new Date())}`, 350, doc.y, { width: 195, align: 'right' });
+
+  doc.x = doc.page.margins.left;
+  doc.y = Math.max(doc.y, top + 80);
+  rule(doc);
+}
+
+function rule(doc) {
+  const y = doc.y + 4;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y).strokeColor('#999').stroke();
+  doc.y = y + 8;
+}
+
+function section(doc, title) {
+  doc.moveDown(0.5).fontSize(11).font('Helvetica-Bold').text(title, doc.page.margins.left);
+  doc.fontSize(9).font('Helvetica').moveDown(0.2);
+}
+
+/** Two-column label/value rows */
+function rows(doc, pairs) {
+  const left = doc.page.margins.left;
+  pairs.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').text(label, left, y, { width: 150 });
+    doc.font('Helvetica').text(value === undefined || value === null || value === '' ? '-' : String(value), left + 160, y, { width: 330 });
+    doc.moveDown(0.15);
+  });
+}
+
+/** Label/amount rows with right-aligned amounts */
+function amounts(doc, pairs, { boldLast = false } = {}) {
+  const left = doc.page.margins.left;
+  pairs.forEach(([label, value], i) => {
+    const bold = boldLast && i === pairs.length - 1;
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').text(label, left, y, { width: 300 });
+    doc.text(money(value), left + 300, y, { width: 195, align: 'right' });
+    doc.moveDown(0.15);
+  });
+  doc.font('Helvetica');
+}
+
+function tripDetails(doc, trip) {
+  section(doc, 'Trip');
+  rows(doc, [
+    ['Route', `${trip.fromLocation || '-'}  ->  ${trip.endLocation || '-'}`],
+    ['Start', dateTime(trip.startDate)],
+    ['End', dateTime(trip.endDate)],
+    ['Vehicle', [trip.vehicleNumber, trip.vehicleType].filter(Boolean).join(' - ')],
+    ['Driver', [trip.driverName, trip.driverNumber].filter(Boolean).join(' - ')],
+  ]);
+
+  section(doc, 'Odometer');
+  rows(doc, [
+    ['Starting reading', trip.startingReading ? `${trip.startingReading} km` : '-'],
+    ['Ending reading', trip.endingReading ? `${trip.endingReading} km` : '-'],
+    ['Distance travelled', `${kmTravelled(trip)} km`],
+  ]);
+}
+
+function finish(doc, out) {
+  doc.pipe(out);
+  doc.end();
+}
+
+/** Customer invoice: fare breakdown, payments received and balance */
+function renderInvoice(trip, out) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  header(doc, 'INVOICE', trip);
+
+  section(doc, 'Bill to');
+  rows(doc, [
+    ['Customer', trip.customerName],
+    ['Phone', trip.customerNumber],
+    ['Booking date', trip.bookingDate || dateOnly(trip.createdAt)],
+  ]);
+
+  tripDetails(doc, trip);
+
+  // tolls, parking and beta are part of the quoted trip amount
+  const tolls = Number(trip.tolls || 0);
+  const parking = Number(trip.parkingCharges || 0);
+  const beta = Number(trip.driverBeta || 0);
+  const total = Number(trip.tripAmount || 0);
+  const base = total - tolls - parking - beta;
+
+  section(doc, 'Fare');
+  const fare = base >= 0
+    ? [['Base fare', base], ['Tolls', tolls], ['Parking', parking], ['Driver beta', beta]]
+    : [['Trip fare', total]];
+  amounts(doc, [...fare, ['Total', total]], { boldLast: true });
+
+  section(doc, 'Payments');
+  const payments = trip.payments || [];
+  if (payments.length === 0 && Number(trip.advanceAmount || 0) > 0) {
+    amounts(doc, [[`Advance (${trip.paymentMode || '-'})`, trip.advanceAmount]]);
+  }
+  payments.forEach((p) => {
+    const label = [
+      dateOnly(p.date),
+      p.type === 'refund' ? 'Refund' : 'Payment',
+      p.mode,
+      p.reference ? `ref ${p.reference}` : null,
+    ].filter(Boolean).join(' - ');
+    amounts(doc, [[label, p.type === 'refund' ? -p.amount : p.amount]]);
+  });
+  rule(doc);
+  amounts(doc, [
+    ['Amount paid', trip.amountPaid !== undefined ? trip.amountPaid : trip.advanceAmount],
+    ['Balance due', trip.balanceAmount],
+  ], { boldLast: true });
+
+  doc.moveDown(2).fontSize(8).fillColor('#666')
+    .text('This is a computer generated invoice.', doc.page.margins.left, doc.y, { align: 'center' });
+
+  finish(doc, out);
+}
+
+/** Driver duty slip: trip, odometer and out-of-pocket charges with signature lines */
+function renderDutySlip(trip, out) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  header(doc, 'DUTY SLIP', trip);
+
+  section(doc, 'Customer');
+  rows(doc, [
+    ['Name', trip.customerName],
+    ['Phone', trip.customerNumber],
+  ]);
+
+  tripDetails(doc, trip);
+
+  section(doc, 'Charges');
+  amounts(doc, [
+    ['Tolls', trip.tolls],
+    ['Parking', trip.parkingCharges],
+    ['Driver beta', trip.driverBeta],
+  ]);
+  const fuel = trip.fuelEntries || [];
+  if (fuel.length) {
+    amounts(doc, fuel.map((f) => [
+      [f.fuelType || 'Fuel', f.litres ? `${f.litres} L` : null, f.station].filter(Boolean).join(' - '),
+      f.amount,
+    ]));
+  } else if (trip.fuelAmount) {
+    amounts(doc, [['Fuel', trip.fuelAmount]]);
+  }
+
+  section(doc, 'Collection');
+  amounts(doc, [
+    ['Trip amount', trip.tripAmount],
+    ['Paid', trip.amountPaid !== undefined ? trip.amountPaid : trip.advanceAmount],
+    ['Balance to collect', trip.balanceAmount],
+  ], { boldLast: true });
+
+  doc.moveDown(4);
+  const y = doc.y;
+  const left = doc.page.margins.left;
+  doc.moveTo(left, y).lineTo(left + 180, y).stroke();
+  doc.moveTo(left + 315, y).lineTo(left + 495, y).stroke();
+  doc.fontSize(9).text('Customer signature', left, y + 4, { width: 180, align: 'center' });
+  doc.text('Driver signature', left + 315, y + 4, { width: 180, align: 'center' });
+
+  finish(doc, out);
+}
+
+module.exports = {
+  companyInfo,
+  renderInvoice,
+  renderDutySlip,
+};
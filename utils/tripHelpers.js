@@ -2,6 +2,50 @@
 const mongoose = require('mongoose');
 const Driver = require('../models/Driver');
 const Vehicle = require('../models/Vehicle');
+const Customer = require('../models/Customer');
+const { PAYMENT_STATUSES } = require('../models/trips');
+const { normalizeIndianPhone } = require('./phone');
+const { STATUSES } = require('./tripStatus');
+
+const DATE_FIELDS = ['bookingDate', 'createdAt', 'startDate', 'endDate'];
+const SORT_FIELDS = [
+  'createdAt', 'updatedAt', 'bookingDate', 'bookingId', 'startDate', 'endDate',
+  'tripAmount', 'balanceAmount', 'customerName', 'driverName', 'vehicleNumber',
+];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function toObjectId(value, name) {
+  if (!mongoose.Types.ObjectId.isValid(value)) throw badRequest(`Invalid ${name}`);
+  return new mongoose.Types.ObjectId(value);
+}
+
+function toDate(value, name) {
+  const d = new Date(value);
+  if (isNaN(d.getTime())) throw badRequest(`Invalid ${name} date`);
+  return d;
+}
+
+/** { $gte, $lte } range for Date fields; a bare "to" date covers that whole day */
+function dateRange(from, to) {
+  const range = {};
+  if (from) range.$gte = toDate(from, 'from');
+  if (to) {
+    range.$lte = toDate(to, 'to');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) range.$lte.setUTCHours(23, 59, 59, 999);
+  }
+  return range;
+}
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
 /** Build MongoDB match filter from query + role */
 function buildMatch(req) {
@@ -23,45 +67,97 @@ function buildMatch(req) {
     else if (q.includeDeleted !== 'true') match.isDriverDeleted = { $ne: true };
   }
 
-  // Date range
+  // Date range (bookingDate is stored as a YYYY-MM-DD string, the rest are Dates)
   if (q.from || q.to) {
-    const field = q.dateField === 'createdAt' ? 'createdAt' : 'bookingDate';
+    const field = q.dateField || 'bookingDate';
+    if (!DATE_FIELDS.includes(field)) throw badRequest(`dateField must be one of ${DATE_FIELDS.join(', ')}`);
     match[field] = {};
-    if (q.from) match[field].$gte = new Date(q.from);
-    if (q.to)   match[field].$lte = new Date(q.to);
+    if (field === 'bookingDate') {
+      if (q.from) match[field].$gte = toDate(q.from, 'from').toISOString().slice(0, 10);
+      if (q.to)   match[field].$lte = toDate(q.to, 'to').toISOString().slice(0, 10);
+    } else {
+      match[field] = dateRange(q.from, q.to);
+    }
   }
 
-  if (q.driverId) match.driverId = new mongoose.Types.ObjectId(q.driverId);
-  if (q.vehicleId) match.vehicleId = new mongoose.Types.ObjectId(q.vehicleId);
-  if (q.vehicleNumber) match.vehicleNumber = q.vehicleNumber.toUpperCase();
-  if (q.bookingId) match.bookingId = q.bookingId;
+  // Drivers are always scoped to themselves above
+  if (q.driverId && req.user.role !== 'driver') match.driverId = toObjectId(q.driverId, 'driverId');
+  if (q.customerId) match.customerId = toObjectId(q.customerId, 'customerId');
+  if (q.vehicleId) match.vehicleId = toObjectId(q.vehicleId, 'vehicleId');
+  if (q.vehicleNumber) match.vehicleNumber = String(q.vehicleNumber).toUpperCase();
+  if (q.bookingId) match.bookingId = String(q.bookingId);
+  if (q.status) {
+    const statuses = String(q.status).split(',').map((x) => x.trim()).filter(Boolean);
+    const unknown = statuses.filter((x) => !STATUSES.includes(x));
+    if (unknown.length) throw badRequest(`Unknown status: ${unknown.join(', ')}`);
+    match.status = { $in: statuses };
+  }
+  if (q.paymentStatus) {
+    const statuses = String(q.paymentStatus).split(',').map((x) => x.trim()).filter(Boolean);
+    const unknown = statuses.filter((x) => !PAYMENT_STATUSES.includes(x));
+    if (unknown.length) throw badRequest(`Unknown paymentStatus: ${unknown.join(', ')}`);
+    match.paymentStatus = { $in: statuses };
+  }
   if (q.search) {
+    const re = new RegExp(escapeRegex(q.search), 'i');
     match.$or = [
-      { bookingId: new RegExp(q.search, 'i') },
-      { customerName: new RegExp(q.search, 'i') },
-      { customerNumber: new RegExp(q.search, 'i') },
-      { driverName: new RegExp(q.search, 'i') },
-      { vehicleNumber: new RegExp(q.search, 'i') },
+      { bookingId: re },
+      { customerName: re },
+      { customerNumber: re },
+      { driverName: re },
+      { vehicleNumber: re },
+      { fromLocation: re },
+      { endLocation: re },
     ];
   }
 
   return match;
 }
 
+/**
+ * Parse page/limit/sort query params into find() options.
+ * Defaults to the trip sort fields; other listings pass their own.
+ */
+function parsePaging(query, { sortFields = SORT_FIELDS, defaultSort = '-createdAt' } = {}) {
+  const q = query || {};
+
+  const page = q.page === undefined ? 1 : Number(q.page);
+  if (!Number.isInteger(page) || page < 1) throw badRequest('page must be a positive integer');
+
+  const limit = q.limit === undefined ? DEFAULT_LIMIT : Number(q.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw badRequest(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  // e.g. "-createdAt" or "startDate,-tripAmount"
+  const sort = {};
+  String(q.sort || defaultSort).split(',').forEach((part) => {
+    const key = part.trim();
+    if (!key) return;
+    const field = key.replace(/^[-+]/, '');
+    if (!sortFields.includes(field)) throw badRequest(`Cannot sort by ${field}`);
+    sort[field] = key.startsWith('-') ? -1 : 1;
+  });
+  // tie-breaker so pages don't overlap when sort keys are equal
+  if (!sort._id) sort._id = sort[Object.keys(sort)[0]] || -1;
+
+  return { page, limit, skip: (page - 1) * limit, sort };
+}
+
 /** Attach driver & vehicle snapshot fields */
 async function attachRefs(data) {
   const out = { ...data };
 
   if (out.driverId) {
     const drv = await Driver.findById(out.driverId);
-    if (!drv) throw new Error('Invalid driverId');
+    if (!drv) throw badRequest('Invalid driverId');
     out.driverName = drv.name;
     out.driverNumber = drv.phone;
   }
 
   if (out.vehicleId) {
     const veh = await Vehicle.findById(out.vehicleId);
-    if (!veh) throw new Error('Invalid vehicleId');
+    if (!veh) throw badRequest('Invalid vehicleId');
     out.vehicleType = veh.vehicleType;
     out.vehicleNumber = veh.vehicleNumber;
   }
@@ -69,7 +165,45 @@ async function attachRefs(data) {
   return out;
 }
 
+/**
+ * Link the trip to a Customer and copy the name/number snapshot.
+ * Without customerId the customer is found (or created) by normalized phone;
+ * numbers that can't be normalized are kept as typed and left unlinked.
+ */
+async function linkCustomer(data) {
+  const out = { ...data };
+
+  if (out.customerId) {
+    const cust = await Customer.findById(out.customerId);
+    if (!cust) throw badRequest('Invalid customerId');
+    out.customerName = cust.name;
+    out.customerNumber = cust.phone;
+    return out;
+  }
+
+  const phone = normalizeIndianPhone(out.customerNumber);
+  if (!phone) return out;
+
+  let cust = await Customer.findOne({ phone });
+  if (!cust) {
+    cust = await Customer.create({ name: out.customerName || phone, phone }).catch((err) => {
+      // created concurrently by another booking
+      if (err.code === 11000) return Customer.findOne({ phone });
+      throw err;
+    });
+  }
+  out.customerId = cust._id;
+  out.customerNumber = phone;
+  if (!out.customerName) out.customerName = cust.name;
+  return out;
+}
+
 module.exports = {
   buildMatch,
+  parsePaging,
+  dateRange,
+  badRequest,
+  escapeRegex,
   attachRefs,
+  linkCustomer,
 };
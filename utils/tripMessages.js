@@ -0,0 +1,110 @@
+// utils/tripMessages.js
+// Trip messages to the customer or driver, rendered from the notification
+// templates and sent through the message queue.
+//
+// AUTO_MESSAGES lists the events sent automatically when a trip reaches
+// their status (e.g. "booking_confirmation,driver_assignment"), on each of
+// AUTO_MESSAGE_CHANNELS (default "whatsapp"). Empty turns them off.
+const Customer = require('../models/Customer');
+const Driver = require('../models/Driver');
+const { queueMessage } = require('./messageQueue');
+const { whatsappTemplate } = require('./sender');
+const { renderForTrip, languageFor } = require('./templates');
+const { normalizeIndianPhone } = require('./phone');
+const { httpError } = require('./errors');
+
+const RECIPIENTS = ['customer', 'driver'];
+
+const list = (value) => String(value || '').split(',').map((s) => s.trim()).filter(Boolean);
+const AUTO_MESSAGES = list(process.env.AUTO_MESSAGES);
+const AUTO_MESSAGE_CHANNELS = list(process.env.AUTO_MESSAGE_CHANNELS || 'whatsapp');
+
+// status a trip enters -> event sent, and to whom
+const AUTO_EVENTS = {
+  confirmed: { event: 'booking_confirmation', sendTo: ['customer'] },
+  assigned: { event: 'driver_assignment', sendTo: ['customer', 'driver'] },
+};
+
+/** The customer or driver of a trip, with their language and addresses */
+async function recipientOf(trip, sendTo) {
+  if (sendTo === 'customer') {
+    const customer = trip.customerId ? await Customer.findById(trip.customerId).select('phone email language').lean() : null;
+    return {
+      id: customer ? customer._id : undefined,
+      language: customer && customer.language,
+      phone: trip.customerNumber || (customer && customer.phone),
+      email: customer && customer.email,
+    };
+  }
+  const driver = trip.driverId ? await Driver.findById(trip.driverId).select('phone email language').lean() : null;
+  return {
+    id: driver ? driver._id : undefined,
+    language: driver && driver.language,
+    phone: trip.driverNumber || (driver && driver.phone),
+    email: driver && driver.email,
+  };
+}
+
+/**
+ * Render the event's template for the trip and queue it to the customer or
+ * driver. 400 when they have no usable address on the channel.
+ */
+async function queueTripMessage(trip, { event, sendTo, channel = 'whatsapp', language, trigger = 'manual', user } = {}) {
+  if (!RECIPIENTS.includes(sendTo)) throw httpError(400, 'sendTo must be "customer" or "driver"');
+
+  const recipient = await recipientOf(trip, sendTo);
+  const to = channel === 'email' ? recipient.email : normalizeIndianPhone(recipient.phone);
+  if (!to) {
+    const address = channel === 'email' ? 'email address' : 'valid mobile number';
+    throw httpError(400, `The ${sendTo} has no ${address} for ${channel}`, 'NO_RECIPIENT_ADDRESS');
+  }
+
+  language = language || languageFor(recipient);
+  const approved = channel === 'whatsapp' ? whatsappTemplate(event, language) : null;
+  const message = await renderForTrip(event, trip, { language, params: approved ? approved.params : [] });
+  return queueMessage({
+    channel,
+    to,
+    subject: message.subject,
+    text: message.text,
+    templateParams: approved ? message.params : undefined,
+    trip: trip._id,
+    event,
+    language: message.language,
+    recipientType: sendTo,
+    recipient: recipient.id,
+    trigger,
+    requestedBy: user && user.id,
+    requestedByRole: user && user.role,
+  });
+}
+
+/**
+ * Queue the AUTO_MESSAGES for a trip that just entered `status`. Never
+ * throws: a message that can't be queued must not undo the status change.
+ */
+async function queueAutoMessages(trip, status, user) {
+  const auto = AUTO_EVENTS[status];
+  if (!auto || !AUTO_MESSAGES.includes(auto.event)) return [];
+
+  const queued = [];
+  for (const sendTo of auto.sendTo) {
+    for (const channel of AUTO_MESSAGE_CHANNELS) {
+      try {
+        queued.push(await queueTripMessage(trip, { event: auto.event, sendTo, channel, trigger: 'auto', user }));
+      } catch (err) {
+        // a missing phone/email is expected for some trips
+        if (err.status !== 400) console.error(`[messages] ${auto.event} to ${sendTo} by ${channel} for trip ${trip.bookingId} not queued:`, err);
+      }
+    }
+  }
+  return queued;
+}
+
+module.exports = {
+  RECIPIENTS,
+  AUTO_MESSAGES,
+  recipientOf,
+  queueTripMessage,
+  queueAutoMessages,
+};
@@ -0,0 +1,110 @@
+// utils/tripPayments.js
+const Trip = require('../models/trips');
+const { VOID_STATUSES } = require('./tripStatus');
+
+// Ledger-derived fields; never taken from create/update bodies
+const PAYMENT_FIELDS = ['payments', 'amountPaid', 'paymentStatus', 'balanceAmount'];
+
+const AGE_BUCKETS = [
+  { key: '0-30', max: 30 },
+  { key: '31-60', max: 60 },
+  { key: '61-90', max: 90 },
+  { key: '90+', max: Infinity },
+];
+
+// Trips whose balance is actually owed: under way or done, or past their
+// end date. Enquiries are quotes and later bookings aren't due yet.
+const BILLABLE_STATUSES = ['started', 'completed'];
+
+/**
+ * Outstanding balances grouped by customer, aged from the trip's end
+ * (or start / creation) date. Only billable trips count; enquiries,
+ * cancelled, no-show and deleted trips are ignored.
+ */
+async function buildReceivables({ asOf = new Date(), minDays = 0 } = {}) {
+  const bucketSums = AGE_BUCKETS.reduce((o, b) => ({
+    ...o,
+    [b.key]: { $sum: { $cond: [{ $eq: ['$_bucket', b.key] }, '$balanceAmount', 0] } },
+  }), {});
+  // first bucket the age fits in
+  const branches = AGE_BUCKETS.filter((b) => b.max !== Infinity).map((b) => ({ case: { $lte: ['$_days', b.max] }, then: b.key }));
+
+  const rows = await Trip.aggregate([
+    {
+      $match: {
+        balanceAmount: { $gt: 0 },
+        isDriverDeleted: { $ne: true },
+        status: { $nin: [...VOID_STATUSES, 'enquiry'] },
+        $or: [{ status: { $in: BILLABLE_STATUSES } }, { endDate: { $lte: asOf } }],
+      },
+    },
+    {
+      $addFields: {
+        _days: {
+          $max: [0, {
+            $floor: {
+              $divide: [{ $subtract: [asOf, { $ifNull: ['$endDate', { $ifNull: ['$startDate', '$createdAt'] }] }] }, 86400000],
+            },
+          }],
+        },
+      },
+    },
+    { $match: { _days: { $gte: minDays } } },
+    { $addFields: { _bucket: { $switch: { branches, default: AGE_BUCKETS[AGE_BUCKETS.length - 1].key } } } },
+    { $sort: { _days: -1 } },
+    {
+      $group: {
+        _id: {
+          $ifNull: [{ $toString: '$customerId' }, { $concat: ['number:', { $ifNull: ['$customerNumber', '-'] }] }],
+        },
+        customerId: { $first: '$customerId' },
+        customerName: { $first: '$customerName' },
+        customerNumber: { $first: '$customerNumber' },
+        outstanding: { $sum: '$balanceAmount' },
+        oldestDays: { $max: '$_days' },
+        ...bucketSums,
+        trips: {
+          $push: {
+            tripId: '$_id',
+            bookingId: '$bookingId',
+            tripAmount: '$tripAmount',
+            amountPaid: '$amountPaid',
+            balanceAmount: '$balanceAmount',
+            status: '$status',
+            days: '$_days',
+          },
+        },
+      },
+    },
+    { $sort: { outstanding: -1 } },
+  ]);
+
+  const emptyBuckets = () => AGE_BUCKETS.reduce((o, b) => ({ ...o, [b.key]: 0 }), {});
+  const totals = { outstanding: 0, trips: 0, buckets: emptyBuckets() };
+  const customers = rows.map(({ _id, customerId, customerName, customerNumber, outstanding, oldestDays, trips, ...buckets }) => {
+    totals.outstanding += outstanding;
+    totals.trips += trips.length;
+    AGE_BUCKETS.forEach((b) => { totals.buckets[b.key] += buckets[b.key]; });
+    return {
+      customerId: customerId || null,
+      customerName,
+      customerNumber,
+      outstanding,
+      oldestDays,
+      buckets: AGE_BUCKETS.reduce((o, b) => ({ ...o, [b.key]: buckets[b.key] }), {}),
+      trips,
+    };
+  });
+
+  return {
+    asOf,
+    totals,
+    customers,
+  };
+}
+
+module.exports = {
+  PAYMENT_FIELDS,
+  AGE_BUCKETS,
+  buildReceivables,
+};
@@ -0,0 +1,201 @@
+// utils/tripStats.js
+const mongoose = require('mongoose');
+const Trip = require('../models/trips');
+const Maintenance = require('../models/Maintenance');
+const Ad = require('../models/Ad');
+const { buildMatch, dateRange, badRequest } = require('./tripHelpers');
+const { VOID_STATUSES } = require('./tripStatus');
+const { distanceExpr } = require('./odometer');
+
+const GROUP_BY = ['day', 'week', 'month', 'driver', 'vehicle'];
+const PERIOD_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+const TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Kolkata';
+
+/** fuelAmount, or for unmigrated text values the sum of every number in it */
+const fuelExpr = {
+  $cond: [
+    { $isNumber: '$fuelAmount' },
+    '$fuelAmount',
+    {
+      $reduce: {
+        input: {
+          $regexFindAll: {
+            input: { $toString: { $ifNull: ['$fuelAmount', '0'] } },
+            regex: /\d+(\.\d+)?/,
+          },
+        },
+        initialValue: 0,
+        in: { $add: ['$$value', { $toDouble: '$$this.match' }] },
+      },
+    },
+  ],
+};
+
+const tripExpensesExpr = {
+  $add: [
+    fuelExpr,
+    { $ifNull: ['$tolls', 0] },
+    { $ifNull: ['$parkingCharges', 0] },
+    { $ifNull: ['$driverBeta', 0] },
+  ],
+};
+
+/** Date a trip is reported under; bookingDate is a string so fall back to createdAt */
+function tripDateExpr(dateField) {
+  if (dateField && dateField !== 'bookingDate') return `$${dateField}`;
+  return {
+    $dateFromString: { dateString: '$bookingDate', onError: '$createdAt', onNull: '$createdAt' },
+  };
+}
+
+function periodKey(groupBy, dateExpr) {
+  return { $dateToString: { format: PERIOD_FORMATS[groupBy], date: dateExpr, timezone: TIMEZONE } };
+}
+
+function tripGroupStage(groupBy, dateField) {
+  let _id = null;
+  let label = null;
+  if (groupBy === 'driver') { _id = '$driverId'; label = '$driverName'; }
+  else if (groupBy === 'vehicle') { _id = '$vehicleId'; label = '$vehicleNumber'; }
+  else if (groupBy) _id = periodKey(groupBy, tripDateExpr(dateField));
+
+  return {
+    $group: {
+      _id,
+      label: { $first: label },
+      trips: { $sum: 1 },
+      revenue: { $sum: { $ifNull: ['$tripAmount', 0] } },
+      tripExpenses: { $sum: tripExpensesExpr },
+      km: { $sum: distanceExpr },
+    },
+  };
+}
+
+function maintenanceGroupStage(groupBy) {
+  let _id = null;
+  let label = null;
+  if (groupBy === 'driver') { _id = '$driver'; label = '$driverName'; }
+  else if (groupBy === 'vehicle') { _id = '$vehicle'; label = '$vehicleNumber'; }
+  else if (groupBy) _id = periodKey(groupBy, '$date');
+
+  return {
+    $group: {
+      _id,
+      label: { $first: label },
+      maintenance: { $sum: { $ifNull: ['$maintenanceCost', 0] } },
+    },
+  };
+}
+
+/** Revenue and running cost (trip expenses + maintenance) per km driven */
+function perKm(b) {
+  if (!b.km) return { revenuePerKm: null, costPerKm: null };
+  const round = (n) => Math.round(n * 100) / 100;
+  return {
+    revenuePerKm: round(b.revenue / b.km),
+    costPerKm: round((b.tripExpenses + b.maintenance) / b.km),
+  };
+}
+
+/**
+ * Revenue / expense / profit report.
+ * Query: the buildMatch filters plus groupBy=day|week|month|driver|vehicle.
+ * Cancelled and no-show trips are left out unless a status filter is given.
+ * Ads are company-wide, so they are only counted for unscoped admin reports
+ * and are never split across driver or vehicle buckets.
+ */
+async function buildStatsReport(req) {
+  const q = req.query || {};
+  const groupBy = q.groupBy || null;
+  if (groupBy && !GROUP_BY.includes(groupBy)) {
+    throw badRequest(`groupBy must be one of ${GROUP_BY.join(', ')}`);
+  }
+
+  const tripMatch = buildMatch(req);
+  if (!tripMatch.status) tripMatch.status = { $nin: VOID_STATUSES };
+
+  const maintenanceMatch = {};
+  if (q.from || q.to) maintenanceMatch.date = dateRange(q.from, q.to);
+  if (tripMatch.driverId) maintenanceMatch.driver = tripMatch.driverId;
+  if (tripMatch.vehicleId) maintenanceMatch.vehicle = tripMatch.vehicleId;
+  if (tripMatch.vehicleNumber) maintenanceMatch.vehicleNumber = tripMatch.vehicleNumber;
+
+  const scoped = req.user.role !== 'admin' || Boolean(tripMatch.driverId || tripMatch.vehicleId || tripMatch.vehicleNumber);
+  const includeAds = !scoped;
+  const adsPerBucket = includeAds && PERIOD_FORMATS[groupBy] !== undefined;
+
+  const adMatch = {};
+  if (q.from || q.to) adMatch.date = dateRange(q.from, q.to);
+
+  const [tripRows, maintenanceRows, adRows] = await Promise.all([
+    Trip.aggregate([{ $match: tripMatch }, tripGroupStage(groupBy, q.dateField)]),
+    Maintenance.aggregate([{ $match: maintenanceMatch }, maintenanceGroupStage(groupBy)]),
+    includeAds
+      ? Ad.aggregate([
+        { $match: adMatch },
+        {
+          $group: {
+            _id: adsPerBucket ? periodKey(groupBy, '$date') : null,
+            adSpend: { $sum: { $ifNull: ['$amount', 0] } },
+          },
+        },
+      ])
+      : [],
+  ]);
+
+  const buckets = new Map();
+  const bucket = (id, label) => {
+    const key = id instanceof mongoose.Types.ObjectId ? id.toString() : id;
+    if (!buckets.has(key)) {
+      buckets.set(key, { key, label: null, trips: 0, km: 0, revenue: 0, tripExpenses: 0, maintenance: 0, adSpend: 0, profit: 0 });
+    }
+    const b = buckets.get(key);
+    if (!b.label && label) b.label = label;
+    return b;
+  };
+
+  tripRows.forEach((r) => Object.assign(bucket(r._id, r.label), {
+    trips: r.trips, km: r.km, revenue: r.revenue, tripExpenses: r.tripExpenses,
+  }));
+  maintenanceRows.forEach((r) => { bucket(r._id, r.label).maintenance = r.maintenance; });
+
+  let unallocatedAdSpend = 0;
+  adRows.forEach((r) => {
+    if (adsPerBucket) bucket(r._id).adSpend = r.adSpend;
+    else unallocatedAdSpend += r.adSpend;
+  });
+
+  const series = [...buckets.values()];
+  series.forEach((b) => {
+    b.profit = b.revenue - b.tripExpenses - b.maintenance - b.adSpend;
+    Object.assign(b, perKm(b));
+  });
+  if (PERIOD_FORMATS[groupBy]) series.sort((a, b) => String(a.key).localeCompare(String(b.key)));
+  else series.sort((a, b) => b.revenue - a.revenue);
+
+  const totals = series.reduce((t, b) => {
+    t.trips += b.trips;
+    t.km += b.km;
+    t.revenue += b.revenue;
+    t.tripExpenses += b.tripExpenses;
+    t.maintenance += b.maintenance;
+    t.adSpend += b.adSpend;
+    return t;
+  }, { trips: 0, km: 0, revenue: 0, tripExpenses: 0, maintenance: 0, adSpend: unallocatedAdSpend });
+  totals.profit = totals.revenue - totals.tripExpenses - totals.maintenance - totals.adSpend;
+  Object.assign(totals, perKm(totals));
+
+  return {
+    groupBy,
+    includesAds: includeAds,
+    totals,
+    series: groupBy ? series : [],
+  };
+}
+
+module.exports = {
+  GROUP_BY,
+  fuelExpr,
+  tripExpensesExpr,
+  buildStatsReport,
+};
@@ -0,0 +1,47 @@
+// utils/tripStatus.js
+
+const STATUSES = ['enquiry', 'confirmed', 'assigned', 'started', 'completed', 'cancelled', 'no_show'];
+
+// Statuses a trip may be created in
+const INITIAL_STATUSES = ['enquiry', 'confirmed', 'assigned'];
+
+// Statuses that never happened as a trip (left out of stats by default)
+const VOID_STATUSES = ['cancelled', 'no_show'];
+
+const TRANSITIONS = {
+  enquiry: ['confirmed', 'cancelled'],
+  confirmed: ['assigned', 'cancelled', 'no_show'],
+  // assigned -> assigned swaps the driver or vehicle
+  assigned: ['assigned', 'confirmed', 'started', 'cancelled', 'no_show'],
+  started: ['completed'],
+  completed: [],
+  cancelled: [],
+  no_show: [],
+};
+
+// Timestamp field set when a trip enters a status
+const STATUS_TIMESTAMPS = {
+  confirmed: 'confirmedAt',
+  assigned: 'assignedAt',
+  started: 'startedAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt',
+  no_show: 'noShowAt',
+};
+
+// Only changed through the status endpoints, never through create/update bodies
+const LIFECYCLE_FIELDS = ['status', 'statusHistory', 'cancelReason', ...Object.values(STATUS_TIMESTAMPS)];
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+module.exports = {
+  STATUSES,
+  INITIAL_STATUSES,
+  VOID_STATUSES,
+  TRANSITIONS,
+  STATUS_TIMESTAMPS,
+  LIFECYCLE_FIELDS,
+  canTransition,
+};
@@ -0,0 +1,114 @@
+// utils/uploads.js
+// Local disk storage for scanned documents (PDF or image).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { bindContext } = require('./requestContext');
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+const MAX_FILE_MB = Number(process.env.UPLOAD_MAX_MB || 10);
+const ALLOWED_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+
+/** multer instance that stores files under UPLOAD_DIR/<folder> */
+function uploader(folder) {
+  const dir = path.join(UPLOAD_DIR, folder);
+
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(dir, { recursive: true }, (err) => cb(err, dir));
+    },
+    filename: (req, file, cb) => {
+      const ext = path.extname(file.originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+      cb(null, `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${ext}`);
+    },
+  });
+
+  return multer({
+    storage,
+    limits: { fileSize: MAX_FILE_MB * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+      if (ALLOWED_TYPES.includes(file.mimetype)) return cb(null, true);
+      const err = new Error('Only PDF, JPEG, PNG or WebP files are allowed');
+      err.status = 400;
+      cb(err);
+    },
+  });
+}
+
+// leading bytes of each allowed type; the client's mimetype is only a claim
+const SIGNATURES = {
+  'application/pdf': (b) => b.subarray(0, 5).toString('latin1') === '%PDF-',
+  'image/jpeg': (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  'image/png': (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/webp': (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP',
+};
+
+/** Type of a stored file from its contents, or null when it isn't one we accept */
+async function sniffType(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(12), 0, 12, 0);
+    const head = buffer.subarray(0, bytesRead);
+    return ALLOWED_TYPES.find((type) => SIGNATURES[type](head)) || null;
+  } finally {
+    await handle.close();
+  }
+}
+
+function uploadedFiles(req) {
+  return req.file ? [req.file] : Object.values(req.files || {}).flat();
+}
+
+/** Wrap a multer middleware so upload errors come back as 400s */
+function handleUpload(middleware) {
+  const bound = bindContext(middleware);
+  return (req, res, next) => bound(req, res, async (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE' ? `File larger than ${MAX_FILE_MB} MB` : err.message;
+      return res.status(400).json({ message });
+    }
+    try {
+      const files = uploadedFiles(req);
+      const types = await Promise.all(files.map((file) => sniffType(file.path)));
+      if (types.some((type, i) => type !== files[i].mimetype)) {
+        files.forEach((file) => fs.unlink(file.path, () => {}));
+        return res.status(400).json({ message: 'File content does not match a PDF, JPEG, PNG or WebP file' });
+      }
+      next();
+    } catch (e) {
+      next(e);
+    }
+  });
+}
+
+/** What gets stored on the record for an uploaded file */
+function fileInfo(file) {
+  if (!file) return undefined;
+  return {
+    path: path.relative(UPLOAD_DIR, file.path),
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+  };
+}
+
+function absolutePath(stored) {
+  const full = path.resolve(UPLOAD_DIR, stored);
+  // never serve anything outside the upload directory
+  return full.startsWith(UPLOAD_DIR + path.sep) ? full : null;
+}
+
+function removeFile(stored) {
+  const full = stored && absolutePath(stored);
+  if (full) fs.unlink(full, () => {});
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  uploader,
+  handleUpload,
+  fileInfo,
+  absolutePath,
+  removeFile,
+};
@@ -1,28 +1,449 @@
-const { body } = require('express-validator');
+const { body, validationResult, matchedData } = require('express-validator');
+const { STAFF_ROLES } = require('./permissions');
+const { INITIAL_STATUSES } = require('./tripStatus');
+const { fileInfo, removeFile } = require('./uploads');
+const { templateProblems } = require('./templates');
+const Trip = require('../models/trips');
+const Driver = require('../models/Driver');
+const Maintenance = require('../models/Maintenance');
+const ServiceSchedule = require('../models/ServiceSchedule');
+const VehicleDocument = require('../models/VehicleDocument');
+const DriverSettlement = require('../models/DriverSettlement');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const { CHANNELS } = require('./sender');
 
 
-const adminRegisterValidators = [
+// Every validation failure is answered as
+// { message: 'Validation failed', code: 'VALIDATION_FAILED', errors: [{ field, message }] }
+function validationFailed(res, errors) {
+    return res.status(400).json({ message: 'Validation failed', code: 'VALIDATION_FAILED', errors });
+}
+
+// uploads that came with a rejected request are not kept
+function removeUploads(req) {
+    const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+    files.forEach((file) => removeFile(fileInfo(file).path));
+}
+
+/**
+ * Run the chains, then replace req.body with only the fields they declare,
+ * coerced by their sanitizers. `readOnlyFor` takes fields back out of that
+ * whitelist for an access role, e.g. { driver: ['driverId'] }.
+ */
+// lists: { name: [item keys] } for arrays of objects. matchedData hands back
+// the raw items of a matched list, so each item is cut down to the keys
+// validated under "<name>.*.".
+function validate(chains, { readOnlyFor = {}, lists = {} } = {}) {
+    return [
+        ...chains,
+        (req, res, next) => {
+            const result = validationResult(req);
+            if (!result.isEmpty()) {
+                removeUploads(req);
+                return validationFailed(res, result.array().map((e) => ({ field: e.path, message: e.msg })));
+            }
+
+            const data = matchedData(req, { locations: ['body'], includeOptionals: false });
+            Object.entries(lists).forEach(([name, keys]) => {
+                if (!Array.isArray(data[name])) return;
+                data[name] = data[name].map((item) => Object.fromEntries(
+                    keys.filter((key) => item[key] !== undefined).map((key) => [key, item[key]])
+                ));
+            });
+            (readOnlyFor[req.user && req.user.accessRole] || []).forEach((name) => delete data[name]);
+            req.body = data;
+            next();
+        }
+    ];
+}
+
+
+// Field builders. Optional fields skip their checks for '' and null, which
+// clear the value; required ones must be present and non-empty.
+function field(name, { required } = {}) {
+    if (required) {
+        return body(name).exists({ values: 'null' }).withMessage(`${name} is required`).bail()
+            .not().equals('').withMessage(`${name} is required`).bail();
+    }
+    return body(name).optional().if((value) => value !== '' && value !== null);
+}
+
+const label = (name) => (Array.isArray(name) ? name[0] : name);
+
+const text = (name, opts) => field(name, opts).isString().withMessage(`${label(name)} must be text`).trim();
+const number = (name, { min = 0, max, ...opts } = {}) => field(name, opts)
+    .isFloat(max === undefined ? { min } : { min, max }).withMessage(`${label(name)} must be a number${max === undefined ? ` of at least ${min}` : ` from ${min} to ${max}`}`)
+    .toFloat();
+const integer = (name, { min = 0, ...opts } = {}) => field(name, opts)
+    .isInt({ min }).withMessage(`${label(name)} must be a whole number of at least ${min}`)
+    .toInt();
+const date = (name, opts) => field(name, opts).isISO8601().withMessage(`${label(name)} must be a date (YYYY-MM-DD or ISO 8601)`).toDate();
+// kept as text, for fields parsed later as a day (YYYY-MM-DD means the whole day)
+const day = (name, opts) => field(name, opts).isISO8601().withMessage(`${label(name)} must be a date (YYYY-MM-DD or ISO 8601)`);
+const id = (name, opts) => field(name, opts).isMongoId().withMessage(`${label(name)} must be a valid id`);
+const flag = (name, opts) => field(name, opts).isBoolean().withMessage(`${label(name)} must be true or false`).toBoolean(true);
+const oneOf = (name, values, opts) => field(name, opts).isIn(values).withMessage(`${label(name)} must be one of ${values.join(', ')}`);
+const email = (name, opts) => field(name, opts).isEmail().withMessage(`${label(name)} must be a valid email`).trim();
+
+function endNotBeforeStart(start, end) {
+    return body(end).optional().custom((value, { req }) => {
+        if (!req.body[start] || !value) return true;
+        if (new Date(value) < new Date(req.body[start])) throw new Error(`${end} cannot be before ${start}`);
+        return true;
+    });
+}
+
+
+// AUTH
+const adminRegisterValidators = validate([
     body('name').isLength({ min: 2 }).withMessage('Name required'),
     body('email').isEmail().withMessage('Valid email required'),
-    body('password').isLength({ min: 6 }).withMessage('Password min 6 chars')
-];
+    body('password').isLength({ min: 6 }).withMessage('Password min 6 chars'),
+    text('setupToken')
+]);
 
 
-const loginValidators = [
+const loginValidators = validate([
     body('email').isEmail().withMessage('Valid email required'),
     body('password').exists().withMessage('Password required')
+]);
+
+
+const changePasswordValidators = validate([
+    body('currentPassword').exists().withMessage('Current password required'),
+    body('newPassword').isLength({ min: 6 }).withMessage('New password min 6 chars')
+]);
+
+
+const forgotPasswordValidators = validate([
+    body('email').isEmail().withMessage('Valid email required'),
+    body('channel').optional().isIn(['email', 'sms', 'whatsapp']).withMessage('channel must be email, sms or whatsapp')
+]);
+
+
+const resetPasswordValidators = validate([
+    body('token').isString().notEmpty().withMessage('Reset token required'),
+    body('newPassword').isLength({ min: 6 }).withMessage('New password min 6 chars')
+]);
+
+
+const inviteValidators = validate([
+    body('email').isEmail().withMessage('Valid email required'),
+    body('role').isIn(STAFF_ROLES).withMessage(`role must be one of ${STAFF_ROLES.join(', ')}`),
+    text('name')
+]);
+
+
+const acceptInviteValidators = validate([
+    body('token').isString().notEmpty().withMessage('Invite token required'),
+    body('name').isLength({ min: 2 }).withMessage('Name required'),
+    body('password').isLength({ min: 6 }).withMessage('Password min 6 chars')
+]);
+
+
+const staffUpdateValidators = validate([
+    oneOf('role', STAFF_ROLES),
+    flag('isActive')
+]);
+
+
+// DRIVERS
+const driverCreateValidators = validate([
+    body('name').isLength({ min: 2 }).withMessage('Name required'),
+    body('email').isEmail().withMessage('Valid email required'),
+    body('password').isLength({ min: 6 }).withMessage('Password min 6 chars'),
+    text('phone'),
+    oneOf('language', NotificationTemplate.LANGUAGES)
+]);
+
+
+const driverUpdateValidators = validate([
+    text('name').isLength({ min: 2 }).withMessage('Name required'),
+    email('email'),
+    text('phone'),
+    // an empty password leaves the current one alone
+    field('password').isLength({ min: 6 }).withMessage('Password min 6 chars'),
+    flag('isActive'),
+    oneOf('language', NotificationTemplate.LANGUAGES)
+]);
+
+
+const payRuleValidators = validate([
+    oneOf('scheme', Driver.PAY_SCHEMES),
+    number('monthlySalary'),
+    number('commissionPercent', { max: 100 }),
+    oneOf('commissionBasis', ['tripAmount', 'profit'])
+]);
+
+
+// multipart sends flat keys, JSON may nest them instead
+const driverKycValidators = validate([
+    text('address'),
+    text(['licenseNumber', 'license.number']),
+    oneOf(['licenseClass', 'license.licenseClass'], Driver.LICENSE_CLASSES),
+    date(['licenseIssueDate', 'license.issueDate']),
+    date(['licenseExpiry', 'license.expiryDate']),
+    text(['badgeNumber', 'badge.number']),
+    date(['badgeExpiry', 'badge.expiryDate']),
+    oneOf(['idProofType', 'idProof.proofType'], Driver.ID_PROOF_TYPES),
+    text(['idProofNumber', 'idProof.number']),
+    text(['emergencyContactName', 'emergencyContact.name']),
+    text(['emergencyContactRelation', 'emergencyContact.relation']),
+    text(['emergencyContactPhone', 'emergencyContact.phone'])
+]);
+
+
+// TRIPS
+const FUEL_ENTRY_KEYS = ['fuelType', 'litres', 'pricePerLitre', 'amount', 'odometer', 'station', 'date', 'paidBy'];
+const fuelEntryFields = (prefix = '') => [
+    oneOf(`${prefix}fuelType`, Trip.FUEL_TYPES),
+    number(`${prefix}litres`),
+    number(`${prefix}pricePerLitre`),
+    number(`${prefix}amount`),
+    number(`${prefix}odometer`),
+    text(`${prefix}station`),
+    date(`${prefix}date`),
+    oneOf(`${prefix}paidBy`, ['driver', 'company'])
 ];
 
+const tripFields = [
+    text('bookingDate'),
+    id('driverId'),
+    text('driverName'),
+    text('driverNumber'),
+    id('vehicleId'),
+    text('vehicleType'),
+    text('vehicleNumber'),
+    id('customerId'),
+    text('customerName'),
+    text('customerNumber'),
+    date('startDate'),
+    text('fromLocation'),
+    date('endDate'),
+    endNotBeforeStart('startDate', 'endDate'),
+    text('endLocation'),
+    number('startingReading'),
+    number('endingReading'),
+    number('tripAmount'),
+    number('advanceAmount'),
+    oneOf('paymentMode', Trip.PAYMENT_MODES),
+    text('tripAmountReceivedBy'),
+    oneOf('fuelType', Trip.schema.path('fuelType').enumValues),
+    field('fuelEntries').isArray().withMessage('fuelEntries must be a list'),
+    field('fuelEntries.*').isObject().withMessage('fuelEntries must be a list of entries'),
+    ...fuelEntryFields('fuelEntries.*.'),
+    // a number, or legacy text like "Petrol: 120, CNG: 80"
+    field('fuelAmount').custom((value) => ['number', 'string'].includes(typeof value)).withMessage('fuelAmount must be a number'),
+    number('tolls'),
+    number('parkingCharges'),
+    number('driverBeta'),
+    oneOf('expensesPaidBy', ['driver', 'company']),
+    text('description'),
+    flag('overrideConflicts'),
+    flag('overrideCompliance'),
+    text('overrideReason')
+];
 
-const driverCreateValidators = [
-    body('name').isLength({ min: 2 }),
-    body('email').isEmail(),
-    body('password').isLength({ min: 6 })
+// drivers always book for themselves
+const TRIP_DRIVER_READ_ONLY = { driver: ['driverId', 'driverName', 'driverNumber'] };
+
+const tripLists = { fuelEntries: FUEL_ENTRY_KEYS };
+const tripCreateValidators = validate([...tripFields, oneOf('status', INITIAL_STATUSES)], { readOnlyFor: TRIP_DRIVER_READ_ONLY, lists: tripLists });
+const tripUpdateValidators = validate(tripFields, { readOnlyFor: TRIP_DRIVER_READ_ONLY, lists: tripLists });
+
+
+const paymentValidators = validate([
+    number('amount', { min: 0.01, required: true }),
+    oneOf('mode', Trip.PAYMENT_MODES),
+    date('date'),
+    text('collectedBy'),
+    text('reference'),
+    text('note')
+]);
+
+
+const fuelEntryValidators = validate(fuelEntryFields());
+
+
+// MAINTENANCE
+const maintenanceFields = (required) => [
+    date('date', { required }),
+    text('maintenanceType', { required }),
+    oneOf('serviceType', ServiceSchedule.SERVICE_TYPES),
+    number('maintenanceCost', { required }),
+    id('vehicleId', { required }),
+    number('kmAtMaintenance', { required }),
+    number('nextOilChangeKm'),
+    number('originalOdometerKm', { required }),
+    id('driverId'),
+    text('company'),
+    oneOf('paymentMode', Maintenance.MAINTENANCE_PAYMENT_MODES),
+    text('description'),
+    date('downtimeStart'),
+    date('downtimeEnd'),
+    endNotBeforeStart('downtimeStart', 'downtimeEnd')
+];
+
+// a driver's records are always their own
+const MAINTENANCE_DRIVER_READ_ONLY = { driver: ['driverId'] };
+
+const maintenanceCreateValidators = validate(maintenanceFields(true), { readOnlyFor: MAINTENANCE_DRIVER_READ_ONLY });
+const maintenanceUpdateValidators = validate(maintenanceFields(false), { readOnlyFor: MAINTENANCE_DRIVER_READ_ONLY });
+
+
+// VEHICLES
+const vehicleFields = (required) => [
+    text('vehicleType', { required }),
+    integer('seatingCapacity', { min: 1, required }),
+    text('vehicleNumber', { required }).toUpperCase()
+];
+
+const vehicleCreateValidators = validate(vehicleFields(true));
+const vehicleUpdateValidators = validate(vehicleFields(false));
+
+
+const serviceScheduleValidators = validate([
+    integer('intervalKm'),
+    integer('intervalDays'),
+    flag('isActive'),
+    text('notes')
+]);
+
+
+const vehicleDocumentFields = (required) => [
+    ...(required ? [id('vehicleId', { required })] : []),
+    oneOf('documentType', VehicleDocument.DOCUMENT_TYPES, { required }),
+    text('documentNumber'),
+    date('issueDate'),
+    date('expiryDate'),
+    endNotBeforeStart('issueDate', 'expiryDate'),
+    text('notes')
+];
+
+const vehicleDocumentCreateValidators = validate(vehicleDocumentFields(true));
+const vehicleDocumentUpdateValidators = validate(vehicleDocumentFields(false));
+
+
+// ADS
+const adFields = (required) => [
+    date('date', { required }),
+    oneOf('paymentMode', Trip.PAYMENT_MODES, { required }),
+    number('amount', { required })
+];
+
+const adCreateValidators = validate(adFields(true));
+const adUpdateValidators = validate(adFields(false));
+
+
+// CUSTOMERS
+const customerFields = (required) => [
+    text('name', { required }),
+    text('phone', { required }),
+    text('alternatePhone'),
+    email('email'),
+    text('address'),
+    text('notes'),
+    oneOf('language', NotificationTemplate.LANGUAGES)
+];
+
+const customerCreateValidators = validate(customerFields(true));
+const customerUpdateValidators = validate(customerFields(false));
+
+
+// SETTLEMENTS
+const advanceValidators = validate([
+    id('driverId', { required: true }),
+    number('amount', { min: 0.01, required: true }),
+    date('date'),
+    oneOf('mode', Trip.PAYMENT_MODES),
+    text('note')
+]);
+
+
+const adjustmentFields = [
+    field('adjustments').isArray().withMessage('adjustments must be a list'),
+    oneOf('adjustments.*.type', DriverSettlement.ADJUSTMENT_TYPES, { required: true }),
+    text('adjustments.*.label', { required: true }),
+    number('adjustments.*.amount', { required: true }),
+    text('notes')
 ];
 
+const settlementCreateValidators = validate([
+    id('driverId', { required: true }),
+    day('from', { required: true }),
+    day('to', { required: true }),
+    ...adjustmentFields
+]);
+
+const settlementUpdateValidators = validate(adjustmentFields);
+
+
+// NOTIFICATION TEMPLATES
+// template text may only use known placeholders and formatters
+const templateText = (name, opts) => text(name, opts).custom((value) => {
+    const problems = templateProblems(value);
+    if (problems.length) throw new Error(problems.join('; '));
+    return true;
+});
+
+const notificationTemplateValidators = validate([
+    templateText('subject'),
+    templateText('body', { required: true }),
+    flag('isActive')
+]);
+
+const templatePreviewValidators = validate([
+    oneOf('event', NotificationTemplate.TEMPLATE_EVENTS, { required: true }),
+    oneOf('language', NotificationTemplate.LANGUAGES),
+    id('tripId'),
+    templateText('subject'),
+    templateText('body')
+]);
+
+
+// MESSAGES
+const tripMessageValidators = validate([
+    oneOf('event', NotificationTemplate.TEMPLATE_EVENTS, { required: true }),
+    oneOf('sendTo', ['customer', 'driver'], { required: true }),
+    oneOf('channel', CHANNELS),
+    oneOf('language', NotificationTemplate.LANGUAGES)
+]);
+
 
 module.exports = {
+    validate,
+    validationFailed,
     adminRegisterValidators,
     loginValidators,
-    driverCreateValidators
-};
\ No newline at end of file
+    changePasswordValidators,
+    forgotPasswordValidators,
+    resetPasswordValidators,
+    inviteValidators,
+    acceptInviteValidators,
+    staffUpdateValidators,
+    driverCreateValidators,
+    driverUpdateValidators,
+    payRuleValidators,
+    driverKycValidators,
+    tripCreateValidators,
+    tripUpdateValidators,
+    paymentValidators,
+    fuelEntryValidators,
+    maintenanceCreateValidators,
+    maintenanceUpdateValidators,
+    vehicleCreateValidators,
+    vehicleUpdateValidators,
+    serviceScheduleValidators,
+    vehicleDocumentCreateValidators,
+    vehicleDocumentUpdateValidators,
+    adCreateValidators,
+    adUpdateValidators,
+    customerCreateValidators,
+    customerUpdateValidators,
+    advanceValidators,
+    settlementCreateValidators,
+    settlementUpdateValidators,
+    notificationTemplateValidators,
+    templatePreviewValidators,
+    tripMessageValidators
+};
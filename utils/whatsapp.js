@@ -1,23 +1,13 @@
 // utils/whatsapp.js
+// Click-to-chat links. The message text comes from the notification
+// templates (utils/templates.js).
+const { normalizeIndianPhone } = require('./phone');
 
-// WhatsApp message template
-const formatTripMessage = (trip) => {
-  return `
-  Trip details
-  Pick-up Date: ${trip.startDate ? new Date(trip.startDate).toLocaleDateString("en-IN") : "-"}
-  Pick-up Time: ${trip.startDate ? new Date(trip.startDate).toLocaleTimeString("en-IN") : "-"}
-  From: ${trip.fromLocation || "-"}
-  To: ${trip.endLocation || "-"}
-  Cost: ${trip.tripAmount || 0}/-
-  Passenger name: ${trip.customerName || "-"}
-  Passenger number: +91 ${trip.customerNumber || "-"}
-  Driver name: ${trip.driver?.name || "-"}
-  Phone number: +91 ${trip.driver?.mobile || "-"}
-  Vehicle: ${trip.vehicle?.vehicleNumber || "-"}
-  Seating capacity: ${trip.vehicle?.seatingCapacity || "-"}
-  Mode of Payment: ${trip.paymentMode || "-"}
-  Number: +91 ${trip.driver?.mobile || "-"} - ${trip.driver?.name || "-"}
-  `;
-};
+/** wa.me link opening a chat with the number and text filled in; null for an invalid number */
+function whatsappUrl(phone, text) {
+  const number = normalizeIndianPhone(phone);
+  if (!number) return null;
+  return `https://wa.me/91${number}?text=${encodeURIComponent(text)}`;
+}
 
-module.exports = { formatTripMessage };   // ✅ export properly
+module.exports = { whatsappUrl };